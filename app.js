@@ -8,21 +8,55 @@
 
 // Application State Management
 class AppState {
-    constructor() {
+    constructor(storage = new MemoryStorageAdapter(), api = null) {
         this.tickets = [];
         this.activeTicketId = null;
         this.currentTab = 'portal';
         this.searchQuery = '';
+        this.sortOrder = 'newest';
+        this.slaSettings = SlaPolicy.defaultSettings();
+        this.session = null; // { userId, name, role, issuedAt, expiresAt } from the identity provider
+        this.users = []; // staff directory: { id, username, name, role }
+        this.assignmentSettings = Assignment.defaultSettings();
+        this.repairers = RepairerDirectory.defaults();
+        this.complaintDraft = null; // unfinished portal complaint, see ComplaintWizard
+        this.hotspotSettings = Hotspots.defaultSettings();
+        this.riskSettings = RiskScoring.defaultSettings();
+        this.numberingSettings = TicketNumbering.defaultSettings();
+        this.savedViews = {};
         this.listeners = new Map();
+        this.storage = storage;
+        this.api = api;
+        this.searchIndex = new SearchIndex();
+        this.history = new TicketHistory();
+        this.tabId = Math.random().toString(36).substr(2, 8);
+
+        // Per-ticket promise chains so PATCHes for one ticket go out in order
+        this.syncQueue = new Map();
+
+        // State keys written through to the storage layer's meta store
+        this.persistedKeys = ['activeTicketId', 'slaSettings', 'savedViews', 'session', 'assignmentSettings', 'repairers', 'complaintDraft', 'hotspotSettings', 'riskSettings', 'numberingSettings'];
         
         // Initialize with seed data
         this.initializeSeedData();
     }
 
+    // Signed-out use (the customer portal, self tests) acts as the local desk
+    get currentUserId() {
+        return this.session?.userId || 'local';
+    }
+
+    get currentUserName() {
+        return this.session?.name || 'agent';
+    }
+
     // State mutation methods
     setState(key, value) {
         const oldValue = this[key];
         this[key] = value;
+        if (this.persistedKeys.includes(key)) {
+            this.storage.setMeta(key, value).catch(error => this.notify('storageError', error));
+        }
         this.notify(key, value, oldValue);
     }
 
@@ -50,10 +84,245 @@ class AppState {
         }
     }
 
+    // Load persisted tickets, falling back to (and persisting) the seed data on first run
+    async hydrate() {
+        try {
+            await this.storage.open();
+            await this.restorePersistedKeys();
+            const stored = await this.storage.loadTickets();
+
+            if (stored.length === 0) {
+                await Promise.all(this.tickets.map(ticket => this.storage.saveTicket(ticket)));
+                await this.storage.setMeta('activeTicketId', this.activeTicketId);
+                if (this.api) await this.pullFromApi();
+                return;
+            }
+
+            this.tickets = stored
+                .map(record => {
+                    const ticket = TicketSchema.migrate(record);
+                    if (ticket !== record) this.persistTicket(ticket);
+                    return ticket;
+                })
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            if (!this.api) await this.migrateTicketIds();
+            this.searchIndex.rebuild(this.tickets);
+
+            const activeTicketId = await this.storage.getMeta('activeTicketId');
+            this.activeTicketId = this.findTicket(activeTicketId)?.id ?? this.tickets[0]?.id ?? null;
+
+            if (this.api) {
+                await this.pullFromApi();
+                return;
+            }
+
+            this.notify('tickets', this.tickets);
+            this.notify('activeTicketId', this.activeTicketId);
+        } catch (error) {
+            this.notify('storageError', error);
+        }
+    }
+
+    // activeTicketId is restored separately, once the tickets it may point at are loaded
+    async restorePersistedKeys() {
+        for (const key of this.persistedKeys.filter(key => key !== 'activeTicketId')) {
+            const value = await this.storage.getMeta(key);
+            if (value !== undefined) {
+                this[key] = value;
+                this.notify(key, value);
+            }
+        }
+    }
+
+    // New tickets are numbered here. With a server, the server numbers them: desks in other browsers
+    // share its sequence, not this browser's counter, so the create has to succeed before the ticket
+    // exists locally. Resolves with the ticket as added.
+    async createTicket(ticket) {
+        if (!this.api) {
+            if (!ticket.id) ticket.id = await this.issueTicketId(ticket);
+            this.addTicket(ticket);
+            return ticket;
+        }
+
+        AuditTrail.seal(ticket.audit, this.currentUserId);
+        const saved = TicketSchema.migrate(await this.api.create(ticket));
+        this.addTicket(saved);
+        return saved;
+    }
+
+    // Next free ticket id. The stored counter is never behind the highest id loaded here, so
+    // imported or restored tickets do not get their numbers issued again.
+    // `reserved` lists ids not in state yet but already spoken for, e.g. by other rows of an import.
+    async issueTicketId(ticket, reserved = []) {
+        const floor = TicketNumbering.highest([...this.tickets, ...reserved.map(id => ({ id }))]);
+        let id;
+        do {
+            const number = await this.storage.updateMeta(TicketNumbering.sequenceKey, (last = 0) => Math.max(last, floor) + 1);
+            id = TicketNumbering.format(number, ticket, this.numberingSettings);
+        } while (this.findTicket(id) || reserved.includes(id));
+        return id;
+    }
+
+    // Numbers every ticket of a batch that has no id yet, before any of them is added, keeping
+    // clear of the ids the rest of the batch brings with it
+    async issueTicketIds(tickets) {
+        const reserved = tickets.map(ticket => ticket.id).filter(Boolean);
+        for (const ticket of tickets.filter(ticket => !ticket.id)) {
+            ticket.id = await this.issueTicketId(ticket, reserved);
+            reserved.push(ticket.id);
+        }
+        return tickets;
+    }
+
+    // Tickets with ids from before numbering (random T-1234 ids) are renumbered oldest first. The
+    // old id stays in legacyIds so customers' references keep working. Only the tab holding the
+    // claim renumbers; the 'ticketsRenumbered' notification lets the desk tell the other tabs.
+    async migrateTicketIds() {
+        const legacy = this.tickets
+            .filter(ticket => TicketNumbering.parse(ticket.id) === null)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        if (legacy.length === 0) return;
+
+        const now = Date.now();
+        const claim = await this.storage.updateMeta('ticketIdMigration', (current) =>
+            current && now - current.at < TicketNumbering.migrationClaimMs ? current : { tabId: this.tabId, at: now });
+        if (claim.tabId !== this.tabId) return;
+
+        const renamed = new Map();
+        for (const ticket of legacy) {
+            const id = await this.issueTicketId(ticket);
+            const next = { ...ticket, id, legacyIds: [...(ticket.legacyIds || []), ticket.id] };
+            next.audit = AuditTrail.seal([...ticket.audit, AuditTrail.event('ticket.renumbered', {
+                actor: 'system',
+                path: 'id',
+                from: ticket.id,
+                to: id,
+                action: `Ticket renumbered from ${ticket.id} to ${id}`
+            })]);
+            this.tickets[this.tickets.indexOf(ticket)] = next;
+            renamed.set(ticket.id, id);
+
+            await this.storage.saveTicket(next);
+            await this.storage.deleteTicket(ticket.id);
+        }
+
+        // Links between tickets follow the new ids
+        this.tickets.forEach(ticket => {
+            if (!(ticket.links || []).some(link => renamed.has(link.id))) return;
+            ticket.links = ticket.links.map(link => ({ ...link, id: renamed.get(link.id) || link.id }));
+            this.persistTicket(ticket);
+        });
+        this.notify('ticketsRenumbered', renamed);
+    }
+
+    // The server is the source of truth; an empty server is seeded with the local tickets
+    async pullFromApi() {
+        try {
+            let remote = await this.api.list();
+            if (remote.length === 0) {
+                remote = await Promise.all(this.tickets.map(ticket => this.api.create(ticket)));
+            }
+
+            this.tickets = remote
+                .map(record => TicketSchema.migrate(record))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            this.tickets.forEach(ticket => this.persistTicket(ticket));
+            this.searchIndex.rebuild(this.tickets);
+
+            if (!this.getTicket(this.activeTicketId)) {
+                this.activeTicketId = this.tickets[0]?.id ?? null;
+            }
+        } catch (error) {
+            this.notify('syncError', error);
+        }
+
+        this.notify('tickets', this.tickets);
+        this.notify('activeTicketId', this.activeTicketId);
+    }
+
+    // Queue a server write for a ticket behind any write already in flight
+    enqueueSync(ticketId, task) {
+        const previous = this.syncQueue.get(ticketId) || Promise.resolve();
+        const next = previous.then(task, task);
+        this.syncQueue.set(ticketId, next);
+        return next;
+    }
+
+    // Optimistic update: local state already holds `next`; roll back to `previous` if the server refuses,
+    // or to the server's copy once part of the edit has been written
+    syncTicketUpdate(previous, next) {
+        return this.enqueueSync(next.id, async () => {
+            const { status, changes, evidence } = TicketsApi.writes(previous, next);
+            if (!status && Object.keys(changes).length === 0 && evidence.length === 0) return;
+
+            let saved = null;
+            try {
+                let version = this.getTicket(next.id)?.version;
+                if (status) {
+                    saved = await this.api.changeStatus(next.id, status.status, version, status.reason);
+                    version = saved.version;
+                }
+                if (Object.keys(changes).length > 0) {
+                    saved = await this.api.patch(next.id, changes, version);
+                }
+                for (const item of evidence) {
+                    saved = await this.api.addEvidence(next.id, item.list, item.evidence);
+                }
+                this.applyServerVersion(next.id, saved.version);
+            } catch (error) {
+                if (error instanceof TicketConflictError) {
+                    this.replaceTicket(error.current);
+                    this.notify('syncConflict', error);
+                    return;
+                }
+
+                if (this.getTicket(next.id) === next) {
+                    this.replaceTicket(saved ? TicketSchema.migrate(saved) : previous);
+                }
+                this.notify('syncError', error);
+            }
+        });
+    }
+
+    applyServerVersion(ticketId, version) {
+        const ticket = this.getTicket(ticketId);
+        if (ticket) {
+            ticket.version = version;
+            this.persistTicket(ticket);
+        }
+    }
+
+    // Server-driven replacement (rollback or conflict); local undo steps no longer apply to it
+    replaceTicket(ticket) {
+        const index = this.tickets.findIndex(t => t.id === ticket.id);
+        if (index !== -1) {
+            this.tickets[index] = ticket;
+            this.history.clearStacks(ticket.id);
+            this.searchIndex.update(ticket);
+            this.persistTicket(ticket);
+            this.notify('tickets', this.tickets);
+        }
+    }
+
+    persistTicket(ticket) {
+        return this.storage.saveTicket(ticket).catch(error => this.notify('storageError', error));
+    }
+
+    // Blobs are keyed by content hash and shared by every ticket holding that file, so one is only
+    // deleted once no ticket refers to it. Resolves with the hashes deleted.
+    releaseBlobs(hashes) {
+        const unused = [...new Set(hashes)].filter(hash =>
+            hash && !this.tickets.some(ticket => EvidencePolicy.findDuplicate(ticket, hash)));
+        return Promise.all(unused.map(hash => this.storage.deleteBlob(hash)))
+            .then(() => unused)
+            .catch(error => this.notify('storageError', error));
+    }
+
     // Initialize with seed data
     initializeSeedData() {
         const seedTicket = {
-            id: 'T-1001',
+            id: 'T-000001',
+            schemaVersion: TicketSchema.CURRENT_VERSION,
             createdAt: new Date(Date.now() - 86400000).toISOString(),
             nature: 'Damage',
             informedTiming: 'Before leaving official ground',
@@ -87,38 +356,230 @@ class AppState {
                 supportingImages: [],
                 supportingVideos: [],
                 outcome: undefined,
-                repair: undefined
+                repair: undefined,
+                payout: Payout.empty()
             },
             status: 'Triage',
-            audit: [{
+            assignee: null,
+            tracking: null,
+            links: [],
+            audit: AuditTrail.seal([AuditTrail.event('ticket.created', {
                 at: new Date(Date.now() - 86000000).toISOString(),
-                who: 'system',
+                actor: 'system',
                 action: 'Ticket created'
-            }]
+            })])
         };
 
         this.tickets = [seedTicket];
         this.activeTicketId = seedTicket.id;
+        this.searchIndex.rebuild(this.tickets);
     }
 
-    // Ticket management methods
+    // Ticket management methods. New tickets come through createTicket(), which numbers them.
     addTicket(ticket) {
+        AuditTrail.seal(ticket.audit, this.currentUserId);
         this.tickets.unshift(ticket);
+        this.searchIndex.update(ticket);
+        this.persistTicket(ticket);
         this.notify('tickets', this.tickets);
     }
 
-    updateTicket(ticketId, updater) {
-        const index = this.tickets.findIndex(t => t.id === ticketId);
-        if (index !== -1) {
-            this.tickets[index] = updater({ ...this.tickets[index] });
-            this.notify('tickets', this.tickets);
+    // `reason` is stored on the audit events this edit produces
+    updateTicket(ticketId, updater, { reason } = {}) {
+        const previous = this.getTicket(ticketId);
+        if (previous) {
+            const next = updater(structuredClone(previous));
+            if (!this.authorize(previous, next)) return false;
+            this.history.record(previous, next, this.currentUserName);
+            this.commitTicket(previous, next, reason);
+        }
+        return true;
+    }
+
+    // Edits several tickets as one step: every edit is authorised before any is written, and undo
+    // reverts them together. `edits` is [{ ticketId, updater }].
+    updateTickets(edits, { reason } = {}) {
+        const changes = [];
+        for (const { ticketId, updater } of edits) {
+            const previous = this.getTicket(ticketId);
+            if (!previous) return false;
+            changes.push({ previous, next: updater(structuredClone(previous)) });
+        }
+        if (!changes.every(({ previous, next }) => this.authorize(previous, next))) return false;
+
+        // Tickets the edit leaves as they were get no history step, so they are not part of the group
+        const changed = changes.filter(({ previous, next }) => TicketHistory.diff(previous, next).length > 0);
+        const group = { id: Math.random().toString(36).substr(2, 8), ticketIds: changed.map(({ next }) => next.id) };
+        changes.forEach(({ previous, next }) => {
+            this.history.record(previous, next, this.currentUserName, group);
+            this.commitTicket(previous, next, reason);
+        });
+        return true;
+    }
+
+    // Undo steps belong to the person who made them, so they end with the session
+    endSession() {
+        this.history.entries.forEach((entry, ticketId) => this.history.clearStacks(ticketId));
+        this.setState('session', null);
+    }
+
+    // System bookkeeping (an SLA breach noticed) only adds to the audit trail, so it needs no
+    // signed-in user and is not an undo step
+    appendAuditEvent(ticketId, event) {
+        const previous = this.getTicket(ticketId);
+        if (!previous) return false;
+
+        const next = structuredClone(previous);
+        next.audit.push(event);
+        this.commitTicket(previous, next, undefined, 'system');
+        return true;
+    }
+
+    // Edits from the customer status page, which has checked the customer's reference itself.
+    // Staff role checks do not apply, so CustomerPortal limits what may change instead. These are
+    // not staff steps: they stay off the undo stacks, and older steps would now drop them.
+    updateTicketAsCustomer(ticketId, updater, { reason } = {}) {
+        const previous = this.getTicket(ticketId);
+        if (previous) {
+            const next = updater(structuredClone(previous));
+            const reasons = CustomerPortal.deniedChanges(previous, next);
+            if (reasons.length > 0) {
+                this.notify('permissionDenied', reasons);
+                return false;
+            }
+            this.history.clearStacks(ticketId);
+            this.commitTicket(previous, next, reason, 'customer');
+        }
+        return true;
+    }
+
+    // Edits are checked against the signed-in user's role, and refused without one. Customers edit
+    // through updateTicketAsCustomer() and the system through appendAuditEvent() instead.
+    authorize(previous, next) {
+        if (!this.session) {
+            this.notify('permissionDenied', ['Sign in to edit tickets']);
+            return false;
+        }
+
+        const reasons = AccessControl.deniedChanges(this.session, previous, next);
+        if (reasons.length > 0) {
+            this.notify('permissionDenied', reasons);
+            return false;
+        }
+        return true;
+    }
+
+    // Undo and redo swap in a recorded snapshot. The audit trail and server version are
+    // carried over from the current ticket, so reverting never rewrites history.
+    undoTicket(ticketId) {
+        return this.restoreSnapshot(ticketId, 'undo');
+    }
+
+    redoTicket(ticketId) {
+        return this.restoreSnapshot(ticketId, 'redo');
+    }
+
+    // Returns the applied step, null when there is nothing to apply, or false when not permitted
+    restoreSnapshot(ticketId, direction) {
+        if (!this.getTicket(ticketId) || !this.history.peek(ticketId, direction)) return null;
+
+        // A step recorded with others (a merge) only moves if every ticket in it is still at that step
+        const group = this.history.groupOf(ticketId, direction);
+        const restores = [];
+        for (const id of group ? group.ticketIds : [ticketId]) {
+            const current = this.getTicket(id);
+            if (group && (!current || this.history.groupOf(id, direction)?.id !== group.id)) {
+                this.notify('permissionDenied', [`Cannot ${direction}: ${id} has changed since; ${direction} its later edits first`]);
+                return false;
+            }
+
+            const next = structuredClone(this.history.peek(id, direction));
+            next.version = current.version;
+            if (!group && next.status !== current.status) {
+                // Stepping back through history is still a status change, so the workflow has its say.
+                // A whole group is exempt: it puts back statuses its own step set outside the workflow.
+                const { allowed, reasons } = TicketWorkflow.check(current, next.status);
+                if (!allowed) {
+                    this.notify('permissionDenied', reasons.map(reason => `Cannot ${direction} to ${next.status}: ${reason}`));
+                    return false;
+                }
+            }
+            if (!this.authorize(current, next)) return false;
+            restores.push({ current, next });
         }
+
+        let result;
+        restores.forEach(({ current, next }) => {
+            const step = this.history[direction](current, this.currentUserName);
+            next.audit = [...current.audit, AuditTrail.event(`history.${direction}`, {
+                action: `${direction === 'undo' ? 'Undid' : 'Redid'} change: ${step.changes.map(change => change.path).join(', ')}`
+            })];
+            // SLA clocks, reports and the customer timeline follow status.changed events
+            if (next.status !== current.status) {
+                next.audit.push(AuditTrail.event('status.changed', {
+                    path: 'status',
+                    from: current.status,
+                    to: next.status,
+                    reason: direction === 'undo' ? 'Undone' : 'Redone',
+                    action: `Status changed to ${next.status}`
+                }));
+            }
+            this.commitTicket(current, next);
+            if (current.id === ticketId) result = step;
+        });
+        return result;
+    }
+
+    // Every local mutation ends here, so every one is audited field by field and sealed into the chain
+    commitTicket(previous, next, reason, actor = this.currentUserId) {
+        AuditTrail.record(previous, next, { actor, reason });
+        const index = this.tickets.indexOf(previous);
+        this.tickets[index] = next;
+        this.searchIndex.update(next);
+        this.persistTicket(next);
+        this.notify('tickets', this.tickets);
+        if (this.api) this.syncTicketUpdate(previous, next);
+    }
+
+    assignTicket(ticketId, userId, { reason } = {}) {
+        return this.updateTicket(ticketId, (ticket) => {
+            ticket.audit.push(Assignment.event(ticket.assignee, userId, this.users));
+            ticket.assignee = userId;
+            return ticket;
+        }, { reason });
+    }
+
+    setPayoutStatus(ticketId, status, { reference, reason } = {}) {
+        return this.updateTicket(ticketId, (ticket) => {
+            Payout.transition(ticket, status, { by: this.currentUserId, reference });
+            return ticket;
+        }, { reason });
+    }
+
+    // Gives a new, not yet added ticket an owner according to the desk's strategy
+    autoAssign(ticket) {
+        const user = Assignment.pick(this.assignmentSettings, this.tickets, this.users);
+        if (!user) return null;
+
+        ticket.audit.push({
+            ...Assignment.event(null, user.id, this.users),
+            actor: 'system',
+            reason: `Auto-assigned (${Assignment.strategies[this.assignmentSettings.strategy]})`
+        });
+        ticket.assignee = user.id;
+        this.setState('assignmentSettings', { ...this.assignmentSettings, lastAssigneeId: user.id });
+        return user;
     }
 
     getTicket(ticketId) {
         return this.tickets.find(t => t.id === ticketId);
     }
 
+    // Looks a customer-supplied reference up by current or pre-numbering id
+    findTicket(reference) {
+        return this.getTicket(reference) || this.tickets.find(t => t.legacyIds?.includes(reference));
+    }
+
     getActiveTicket() {
         return this.getTicket(this.activeTicketId);
     }
@@ -126,148 +587,4040 @@ class AppState {
     // Filter tickets based on search query
     getFilteredTickets() {
         if (!this.searchQuery.trim()) {
-            return this.tickets;
+            return this.sortTickets(this.tickets);
         }
 
-        const query = this.searchQuery.toLowerCase();
-        return this.tickets.filter(ticket => 
-            ticket.id.toLowerCase().includes(query) ||
-            ticket.customer.name.toLowerCase().includes(query) ||
-            (ticket.booking?.reg || '').toLowerCase().includes(query) ||
-            ticket.status.toLowerCase().includes(query)
-        );
+        const query = TicketQuery.parse(this.searchQuery);
+        const context = {
+            slaSettings: this.slaSettings,
+            now: Date.now(),
+            currentUserId: this.currentUserId,
+            users: this.users,
+            textMatches: this.searchIndex.search(query.text)
+        };
+        return this.sortTickets(this.tickets.filter(ticket => TicketQuery.matches(ticket, query, context)));
     }
-}
 
-// Utility Functions
-const Utils = {
-    // Generate new ticket ID
-    generateTicketId() {
-        return 'T-' + Math.floor(1000 + Math.random() * 9000);
-    },
+    // The desk's search as sent to the server, which does not know who "me" is
+    serverQuery() {
+        return TicketQuery.tokenize(this.searchQuery)
+            .map(token => token.replace(/^(-?assignee:)(.*)$/i, (_, key, values) =>
+                key + values.split(',').map(value => value.toLowerCase() === 'me' ? this.currentUserId : value).join(',')))
+            .join(' ');
+    }
 
-    // Format date for display
-    formatDate(dateString) {
-        if (!dateString) return 'n/a';
-        try {
-            return new Date(dateString).toLocaleString();
-        } catch {
-            return 'Invalid date';
+    // Tickets are kept newest first; other orders sort a copy
+    sortTickets(tickets) {
+        const sorter = TicketQuery.sorters[this.sortOrder];
+        if (!sorter) {
+            return tickets;
         }
-    },
 
-    // Format date for input fields
-    formatDateForInput(dateString) {
-        if (!dateString) return '';
-        try {
-            return new Date(dateString).toISOString().split('T')[0];
-        } catch {
-            return '';
-        }
-    },
+        const context = { slaSettings: this.slaSettings, now: Date.now() };
+        return [...tickets].sort((a, b) => sorter(a, b, context));
+    }
 
-    // Debounce function for search
-    debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    },
+    // Saved views belong to the signed-in user; new users start from the built-in ones
+    getSavedViews() {
+        return this.savedViews[this.currentUserId] || TicketQuery.defaultViews;
+    }
 
-    // Sanitize HTML to prevent XSS
-    sanitizeHtml(str) {
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
-    },
+    setSavedViews(views) {
+        this.setState('savedViews', { ...this.savedViews, [this.currentUserId]: views });
+    }
+}
 
-    // Calculate average
-    calculateAverage(numbers) {
-        if (!numbers.length) return 0;
-        const sum = numbers.reduce((a, b) => a + b, 0);
-        return Math.round((sum / numbers.length) * 100) / 100;
+// Ticket Schema Versioning
+const TicketSchema = {
+    CURRENT_VERSION: 7,
+
+    // migrations[n] upgrades a record from version n - 1 to version n.
+    // Records saved before versioning existed are treated as version 0.
+    migrations: {
+        1: (ticket) => ({
+            ...ticket,
+            complaint: {
+                damageTypes: [],
+                images: [],
+                videos: [],
+                ...ticket.complaint
+            },
+            admin: {
+                supportingDocs: [],
+                supportingImages: [],
+                supportingVideos: [],
+                ...ticket.admin
+            },
+            audit: ticket.audit || []
+        }),
+
+        // Evidence files moved out of the ticket record into the blob store
+        2: (ticket) => {
+            const stripFile = (items) => items.map(({ file, ...evidence }) => evidence);
+            return {
+                ...ticket,
+                complaint: {
+                    ...ticket.complaint,
+                    images: stripFile(ticket.complaint.images),
+                    videos: stripFile(ticket.complaint.videos)
+                },
+                admin: {
+                    ...ticket.admin,
+                    supportingDocs: stripFile(ticket.admin.supportingDocs),
+                    supportingImages: stripFile(ticket.admin.supportingImages),
+                    supportingVideos: stripFile(ticket.admin.supportingVideos)
+                }
+            };
+        },
+
+        // Free-text audit entries become structured events, sealed into a hash chain
+        3: (ticket) => ({
+            ...ticket,
+            audit: AuditTrail.seal(ticket.audit.map(entry => AuditTrail.fromLegacy(entry)))
+        }),
+
+        // Tickets gained an owner
+        4: (ticket) => ({
+            ...ticket,
+            assignee: ticket.assignee ?? null
+        }),
+
+        // A free claim amount becomes a one-line payout quote awaiting approval
+        5: (ticket) => ({
+            ...ticket,
+            admin: {
+                ...ticket.admin,
+                payout: ticket.admin.payout ||
+                    Payout.fromClaimAmount(ticket.admin.repair?.claimAmount, ticket.admin.outcome?.liabilityAccepted)
+            }
+        }),
+
+        // Customer tracking tokens; older tickets can still be tracked by email
+        6: (ticket) => ({
+            ...ticket,
+            tracking: ticket.tracking ?? null
+        }),
+
+        // Links to related and merged duplicate tickets
+        7: (ticket) => ({
+            ...ticket,
+            links: ticket.links ?? []
+        })
     },
 
-    // Get status badge class
-    getStatusBadgeClass(status) {
-        const statusMap = {
-            'New': 'status-new bg-info',
-            'Triage': 'status-triage bg-warning',
-            'Investigating': 'status-investigating bg-primary',
-            'Awaiting Customer': 'status-awaiting bg-warning',
-            'Repair Scheduled': 'status-repair bg-info',
-            'Resolved': 'status-resolved bg-success',
-            'Rejected': 'status-rejected bg-danger'
-        };
-        return statusMap[status] || 'bg-light';
+    // Returns the same object when no migration was needed
+    migrate(ticket) {
+        let version = ticket.schemaVersion || 0;
+        if (version > this.CURRENT_VERSION) {
+            throw new Error(`Ticket ${ticket.id} has unknown schema version ${version}`);
+        }
+
+        let migrated = ticket;
+        while (version < this.CURRENT_VERSION) {
+            version += 1;
+            migrated = { ...this.migrations[version](migrated), schemaVersion: version };
+        }
+        return migrated;
     }
 };
 
-// Validation Module
-const Validation = {
-    // Form validation rules
-    rules: {
-        required: (value) => value.trim().length > 0,
-        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-        phone: (value) => /^[\+]?[0-9\s\-\(\)]+$/.test(value),
-        minLength: (min) => (value) => value.trim().length >= min
-    },
+// Storage Adapters
+// Every adapter exposes the same async interface:
+// open(), loadTickets(), saveTicket(ticket), deleteTicket(id), getMeta(key), setMeta(key, value),
+// updateMeta(key, updater), saveBlob(key, blob), getBlob(key), deleteBlob(key)
 
-    // Validate form
-    validateForm(formElement) {
-        const errors = {};
-        const inputs = formElement.querySelectorAll('input[required], textarea[required], select[required]');
+// In-memory adapter, used by the self tests and when IndexedDB is unavailable
+class MemoryStorageAdapter {
+    constructor() {
+        this.tickets = new Map();
+        this.meta = new Map();
+        this.blobs = new Map();
+    }
 
-        inputs.forEach(input => {
-            const value = input.value;
-            const name = input.name || input.id;
+    async open() {}
 
-            // Clear previous validation
-            input.classList.remove('is-invalid');
-            const feedback = input.parentNode.querySelector('.invalid-feedback');
-            if (feedback) {
-                feedback.remove();
-            }
+    async loadTickets() {
+        return Array.from(this.tickets.values()).map(ticket => structuredClone(ticket));
+    }
 
-            // Required validation
-            if (input.hasAttribute('required') && !this.rules.required(value)) {
-                errors[name] = 'This field is required';
-            }
+    async saveTicket(ticket) {
+        this.tickets.set(ticket.id, structuredClone(ticket));
+    }
 
-            // Type-specific validation
-            if (value && input.type === 'email' && !this.rules.email(value)) {
-                errors[name] = 'Please enter a valid email address';
-            }
+    async deleteTicket(ticketId) {
+        this.tickets.delete(ticketId);
+    }
 
-            if (value && input.type === 'tel' && !this.rules.phone(value)) {
-                errors[name] = 'Please enter a valid phone number';
-            }
-        });
+    async getMeta(key) {
+        return this.meta.get(key);
+    }
 
-        return errors;
-    },
+    async setMeta(key, value) {
+        this.meta.set(key, value);
+    }
 
-    // Display validation errors
-    displayErrors(errors) {
-        Object.keys(errors).forEach(fieldName => {
-            const field = document.getElementById(fieldName) || document.querySelector(`[name="${fieldName}"]`);
-            if (field) {
-                field.classList.add('is-invalid');
-                
-                const feedback = document.createElement('div');
-                feedback.className = 'invalid-feedback';
-                feedback.textContent = errors[fieldName];
-                field.parentNode.appendChild(feedback);
-            }
-        });
-    },
+    async updateMeta(key, updater) {
+        this.meta.set(key, updater(this.meta.get(key)));
+        return this.meta.get(key);
+    }
 
-    // Clear all validation errors
+    async saveBlob(key, blob) {
+        this.blobs.set(key, blob);
+    }
+
+    async getBlob(key) {
+        return this.blobs.get(key);
+    }
+
+    async deleteBlob(key) {
+        this.blobs.delete(key);
+    }
+}
+
+// Default adapter, persists tickets in the browser's IndexedDB
+class IndexedDBStorageAdapter {
+    constructor(dbName = 'complaints-desk') {
+        this.dbName = dbName;
+        this.dbVersion = 2;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('tickets')) {
+                    db.createObjectStore('tickets', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('blobs')) {
+                    db.createObjectStore('blobs', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async transaction(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    loadTickets() {
+        return this.transaction('tickets', 'readonly', store => store.getAll());
+    }
+
+    async saveTicket(ticket) {
+        await this.transaction('tickets', 'readwrite', store => store.put(ticket));
+    }
+
+    async deleteTicket(ticketId) {
+        await this.transaction('tickets', 'readwrite', store => store.delete(ticketId));
+    }
+
+    async getMeta(key) {
+        const record = await this.transaction('meta', 'readonly', store => store.get(key));
+        return record?.value;
+    }
+
+    async setMeta(key, value) {
+        await this.transaction('meta', 'readwrite', store => store.put({ key, value }));
+    }
+
+    // Read and write in one transaction. IndexedDB runs readwrite transactions on a store one at a
+    // time, across tabs too, so two callers never both see the same old value.
+    async updateMeta(key, updater) {
+        let value;
+        await this.transaction('meta', 'readwrite', store => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                value = updater(request.result?.value);
+                store.put({ key, value });
+            };
+        });
+        return value;
+    }
+
+    async saveBlob(key, blob) {
+        await this.transaction('blobs', 'readwrite', store => store.put({ key, blob }));
+    }
+
+    async getBlob(key) {
+        const record = await this.transaction('blobs', 'readonly', store => store.get(key));
+        return record?.blob;
+    }
+
+    async deleteBlob(key) {
+        await this.transaction('blobs', 'readwrite', store => store.delete(key));
+    }
+}
+
+// REST adapter stub; meta values stay in memory until the backend grows a preferences endpoint
+class RestStorageAdapter {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl;
+        this.meta = new Map();
+    }
+
+    async open() {}
+
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        if (!response.ok) {
+            throw new Error(`Storage request failed: ${response.status}`);
+        }
+        return response.status === 204 ? undefined : response.json();
+    }
+
+    loadTickets() {
+        return this.request('/tickets');
+    }
+
+    async saveTicket(ticket) {
+        await this.request(`/tickets/${encodeURIComponent(ticket.id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(ticket)
+        });
+    }
+
+    async deleteTicket(ticketId) {
+        await this.request(`/tickets/${encodeURIComponent(ticketId)}`, { method: 'DELETE' });
+    }
+
+    async getMeta(key) {
+        return this.meta.get(key);
+    }
+
+    async setMeta(key, value) {
+        this.meta.set(key, value);
+    }
+
+    async updateMeta(key, updater) {
+        this.meta.set(key, updater(this.meta.get(key)));
+        return this.meta.get(key);
+    }
+
+    async saveBlob(key, blob) {
+        const response = await fetch(`${this.baseUrl}/blobs/${encodeURIComponent(key)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+            body: blob
+        });
+        if (!response.ok) {
+            throw new Error(`Blob upload failed: ${response.status}`);
+        }
+    }
+
+    async getBlob(key) {
+        const response = await fetch(`${this.baseUrl}/blobs/${encodeURIComponent(key)}`);
+        return response.ok ? response.blob() : undefined;
+    }
+
+    async deleteBlob(key) {
+        const response = await fetch(`${this.baseUrl}/blobs/${encodeURIComponent(key)}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Blob delete failed: ${response.status}`);
+        }
+    }
+}
+
+const TicketStorage = {
+    createDefault() {
+        return typeof indexedDB !== 'undefined'
+            ? new IndexedDBStorageAdapter()
+            : new MemoryStorageAdapter();
+    }
+};
+
+// Ticket Numbering
+// Ids end in a sequence number issued from a counter in the storage layer's meta store. Every tab
+// of the desk shares that store, so numbers only go up and two tabs never issue the same one.
+const TicketNumbering = {
+    sequenceKey: 'ticketSequence',
+    digits: 6,
+
+    formats: {
+        plain: 'T-000123',
+        prefixed: 'DMG-T5-2025-000123 (nature, terminal, year)'
+    },
+
+    natureCodes: {
+        'Damage': 'DMG',
+        'Mileage': 'MIL',
+        'Long waiting': 'WAIT',
+        'Service failure': 'SVC'
+    },
+
+    // How long one tab's claim on renumbering old ids keeps other tabs out
+    migrationClaimMs: 60000,
+
+    defaultSettings() {
+        return { format: 'plain' };
+    },
+
+    // The prefix describes the ticket when it is numbered; later edits never rename it
+    format(number, ticket, settings) {
+        const sequence = String(number).padStart(this.digits, '0');
+        if (settings?.format !== 'prefixed') return `T-${sequence}`;
+
+        const terminal = (ticket.booking?.terminal || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const year = new Date(ticket.createdAt || Date.now()).getFullYear();
+        return [this.natureCodes[ticket.nature] || 'GEN', terminal, year, sequence].filter(Boolean).join('-');
+    },
+
+    // Sequence number of an issued id, or null for an id from before numbering (e.g. T-4821)
+    parse(id) {
+        const match = new RegExp(`-(\\d{${this.digits},})$`).exec(id || '');
+        return match ? Number(match[1]) : null;
+    },
+
+    highest(tickets) {
+        return tickets.reduce((max, ticket) => Math.max(max, this.parse(ticket.id) || 0), 0);
+    }
+};
+
+// Tickets REST API
+//
+// JSON contract. Ticket bodies use the same shape AppState keeps in memory, plus a
+// server-assigned integer `version` that is echoed back as the ETag of every response.
+//
+//   GET   /api/tickets                  200 { tickets: Ticket[] }
+//   GET   /api/tickets?page=&pageSize=&q=&sort=   200 { tickets: Ticket[], page, pageSize, total }
+//                                       sort is a TicketQuery.sorters name; newest first without one
+//   GET   /api/tickets/:id              200 Ticket                        ETag: "<version>"
+//   POST  /api/tickets                  body Ticket              -> 201 Ticket (version 1)
+//                                       a ticket sent without an id is numbered by the server; a taken id answers 409
+//   PATCH /api/tickets/:id              body { <field>: value }  -> 200 Ticket (version + 1)
+//                                       If-Match: "<version>"; top-level fields replace the stored ones
+//   POST  /api/tickets/:id/evidence     body { list: 'complaint.images', evidence: Evidence } -> 201 Ticket
+//   POST  /api/tickets/:id/status       body { status, reason? }, If-Match required -> 200 Ticket
+//
+// A stale If-Match answers 412 { error, current: Ticket } with the server's copy.
+// Any other failure answers 4xx/5xx { error: string }.
+
+class TicketConflictError extends Error {
+    constructor(current) {
+        super(`Ticket ${current?.id} was changed by someone else`);
+        this.name = 'TicketConflictError';
+        this.current = current;
+    }
+}
+
+class TicketsApi {
+    static pageSize = 50;
+
+    constructor({ baseUrl = '/api', mock = false } = {}) {
+        this.baseUrl = baseUrl;
+        this.mock = mock;
+
+        // Backing store for mock server mode
+        this.mockTickets = new Map();
+    }
+
+    // Enabled with ?api=live or ?api=mock; the desk stays client-only otherwise
+    static fromLocation() {
+        const mode = new URLSearchParams(location.search).get('api');
+        if (mode === 'live') return new TicketsApi();
+        if (mode === 'mock') return new TicketsApi({ mock: true });
+        return null;
+    }
+
+    // Top-level fields of `next` that differ from `previous`, as a PATCH body
+    static diff(previous, next) {
+        const changes = {};
+        Object.keys(next).forEach(key => {
+            if (key === 'version') return;
+            if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+                changes[key] = next[key];
+            }
+        });
+        return changes;
+    }
+
+    // An edit as the contract's writes: a status change for /status with the reason from its
+    // audit event, evidence appended to a list for /evidence, and every other field as a PATCH body
+    static writes(previous, next) {
+        const patched = structuredClone(next);
+        const evidence = [];
+        DuplicateDetection.evidenceLists.forEach(list => {
+            const [section, key] = list.split('.');
+            const before = previous[section]?.[key] || [];
+            const after = next[section]?.[key] || [];
+            const appended = after.length > before.length &&
+                JSON.stringify(after.slice(0, before.length)) === JSON.stringify(before);
+            if (!appended) return;
+
+            after.slice(before.length).forEach(item => evidence.push({ list, evidence: item }));
+            patched[section][key] = structuredClone(before);
+        });
+
+        let status = null;
+        if (next.status !== previous.status) {
+            const event = (next.audit || []).findLast(entry => entry.type === 'status.changed' && entry.to === next.status);
+            status = { status: next.status, reason: event?.reason };
+            patched.status = previous.status;
+        }
+
+        return { status, changes: this.diff(previous, patched), evidence };
+    }
+
+    async request(method, path, { body, version } = {}) {
+        const url = `${this.baseUrl}${path}`;
+        const headers = { 'Content-Type': 'application/json' };
+        if (version !== undefined) {
+            headers['If-Match'] = `"${version}"`;
+        }
+
+        const options = { method, headers, body: body === undefined ? undefined : JSON.stringify(body) };
+        const response = this.mock ? await this.mockFetch(url, options) : await fetch(url, options);
+        const data = await response.json().catch(() => null);
+
+        if (response.status === 412) {
+            throw new TicketConflictError(data?.current);
+        }
+        if (!response.ok) {
+            throw new Error(data?.error || `Request failed: ${response.status}`);
+        }
+        return data;
+    }
+
+    async list() {
+        const data = await this.request('GET', '/tickets');
+        return data.tickets;
+    }
+
+    // One page of tickets for paginated views; `query` uses the desk's search syntax
+    listPage({ page = 1, pageSize = TicketsApi.pageSize, query = '', sort = '' } = {}) {
+        const params = new URLSearchParams({ page, pageSize, q: query, sort });
+        return this.request('GET', `/tickets?${params}`);
+    }
+
+    get(ticketId) {
+        return this.request('GET', `/tickets/${encodeURIComponent(ticketId)}`);
+    }
+
+    create(ticket) {
+        return this.request('POST', '/tickets', { body: ticket });
+    }
+
+    patch(ticketId, changes, version) {
+        return this.request('PATCH', `/tickets/${encodeURIComponent(ticketId)}`, { body: changes, version });
+    }
+
+    addEvidence(ticketId, listType, evidence) {
+        return this.request('POST', `/tickets/${encodeURIComponent(ticketId)}/evidence`, {
+            body: { list: listType, evidence }
+        });
+    }
+
+    changeStatus(ticketId, status, version, reason) {
+        return this.request('POST', `/tickets/${encodeURIComponent(ticketId)}/status`, {
+            body: { status, reason },
+            version
+        });
+    }
+
+    // Mock API for exercising the desk without a backend
+    async mockFetch(url, options = {}) {
+        const urlObj = new URL(url, location.origin);
+        const path = urlObj.pathname.replace(/^\/api\/tickets\/?/, '');
+        const [ticketId, action] = path.split('/').map(decodeURIComponent);
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : undefined;
+        const ifMatch = options.headers?.['If-Match'];
+
+        const respond = (status, data) => new Response(JSON.stringify(data), {
+            status,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(data?.version ? { 'ETag': `"${data.version}"` } : {})
+            }
+        });
+        const store = (ticket) => {
+            this.mockTickets.set(ticket.id, ticket);
+            return structuredClone(ticket);
+        };
+
+        if (!ticketId) {
+            if (method === 'GET' && urlObj.searchParams.has('page')) {
+                const page = Math.max(1, parseInt(urlObj.searchParams.get('page')) || 1);
+                const pageSize = Math.max(1, parseInt(urlObj.searchParams.get('pageSize')) || 50);
+                const query = TicketQuery.parse(urlObj.searchParams.get('q') || '');
+                const context = { slaSettings: SlaPolicy.defaultSettings(), now: Date.now() };
+                const sorter = TicketQuery.sorters[urlObj.searchParams.get('sort')];
+                const matching = Array.from(this.mockTickets.values())
+                    .filter(t => TicketQuery.matches(t, query, context))
+                    .sort((a, b) => sorter ? sorter(a, b, context) : new Date(b.createdAt) - new Date(a.createdAt));
+                return respond(200, {
+                    tickets: matching.slice((page - 1) * pageSize, page * pageSize).map(t => structuredClone(t)),
+                    page,
+                    pageSize,
+                    total: matching.length
+                });
+            }
+            if (method === 'GET') {
+                return respond(200, { tickets: Array.from(this.mockTickets.values()).map(t => structuredClone(t)) });
+            }
+            if (method === 'POST') {
+                if (this.mockTickets.has(body.id)) return respond(409, { error: `Ticket ${body.id} already exists` });
+                const id = body.id || TicketNumbering.format(TicketNumbering.highest(Array.from(this.mockTickets.values())) + 1, body);
+                return respond(201, store({ ...body, id, version: 1 }));
+            }
+            return respond(405, { error: 'Method not allowed' });
+        }
+
+        const current = this.mockTickets.get(ticketId);
+        if (!current) {
+            return respond(404, { error: `Ticket ${ticketId} not found` });
+        }
+        if (method === 'GET' && !action) {
+            return respond(200, structuredClone(current));
+        }
+        if (ifMatch !== undefined && ifMatch !== `"${current.version}"`) {
+            return respond(412, { error: 'Version mismatch', current: structuredClone(current) });
+        }
+
+        if (method === 'PATCH' && !action) {
+            return respond(200, store({ ...current, ...body, id: current.id, version: current.version + 1 }));
+        }
+        if (method === 'POST' && action === 'evidence') {
+            const updated = structuredClone(current);
+            const [section, list] = body.list.split('.');
+            updated[section][list].push(body.evidence);
+            return respond(201, store({ ...updated, version: current.version + 1 }));
+        }
+        if (method === 'POST' && action === 'status') {
+            if (ifMatch === undefined) return respond(428, { error: 'If-Match required' });
+            return respond(200, store({ ...current, status: body.status, version: current.version + 1 }));
+        }
+        return respond(405, { error: 'Method not allowed' });
+    }
+}
+
+// Bookings API
+//
+//   GET /api/bookings?reg=<reg>[&ref=<bookingId>][&email=<email>]   200 Booking | 404 { error }
+//   GET /api/bookings/stats?from=<date>&to=<date>   200 { drivers: [{ name, bookings }], terminals: [{ name, bookings }] }
+//
+// Booking: { bookingId, reg, status, customer, email, phone, product, terminal, arrival, return, driverName }
+// with ISO times for `arrival` (car handed to us) and `return` (car back with the customer).
+// `ref` and `email`, when given, must belong to the booking found for the registration.
+class BookingsApi {
+    constructor({ baseUrl = '/api', mock = false } = {}) {
+        this.baseUrl = baseUrl;
+        this.mock = mock;
+    }
+
+    // Live only with ?api=live; otherwise the portal works offline against the mock bookings
+    static fromLocation() {
+        return new BookingsApi({ mock: new URLSearchParams(location.search).get('api') !== 'live' });
+    }
+
+    static normaliseReg(reg = '') {
+        return reg.toUpperCase().replace(/\s+/g, '');
+    }
+
+    // Resolves to the booking, or null when none matches
+    async lookup({ reg, ref, email } = {}) {
+        const params = new URLSearchParams({ reg: BookingsApi.normaliseReg(reg) });
+        if (ref?.trim()) params.set('ref', ref.trim());
+        if (email?.trim()) params.set('email', email.trim());
+
+        const url = `${this.baseUrl}/bookings?${params}`;
+        const response = this.mock ? await this.mockFetch(url) : await fetch(url);
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Booking lookup failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Bookings handled per driver and terminal between two dates (inclusive)
+    async stats({ from, to }) {
+        const url = `${this.baseUrl}/bookings/stats?${new URLSearchParams({ from, to })}`;
+        const response = this.mock ? await this.mockFetch(url) : await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Booking statistics failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Typical bookings handled per day, for mock statistics
+    static mockDailyVolumes = {
+        drivers: { 'A. Singh': 6, 'M. Osei': 4, 'J. Carter': 5 },
+        terminals: { 'T2': 20, 'T3': 15, 'T4': 12, 'T5': 30 }
+    };
+
+    // The plate scanner's test plates, with the handover times complaints are checked against
+    static mockBookings() {
+        const daysAgo = (days, hour) => {
+            const date = new Date(Date.now() - days * 86400000);
+            date.setHours(hour, 0, 0, 0);
+            return date.toISOString();
+        };
+        return [
+            {
+                bookingId: 'SP-240117', reg: 'AB12CDE', status: 'returned', customer: 'John Hamilton',
+                email: 'john@example.com', phone: '+447700900001', product: 'Meet and Greet', terminal: 'T5',
+                arrival: '2025-09-18T08:00:00Z', return: '2025-09-20T13:30:00Z', driverName: 'A. Singh'
+            },
+            {
+                bookingId: 'SP-TEST', reg: 'REZ123', status: 'due in', customer: 'Test User',
+                email: 'test@example.com', phone: '+44 7700 900123', product: 'Meet and Greet', terminal: 'T3',
+                arrival: new Date(Date.now() + 3600000).toISOString(), return: null, driverName: ''
+            },
+            {
+                bookingId: 'SP-240311', reg: 'STAR001', status: 'returned', customer: 'Priya Shah',
+                email: 'priya@example.com', phone: '+447700900222', product: 'Park and Ride', terminal: 'T2',
+                arrival: daysAgo(9, 6), return: daysAgo(2, 18), driverName: 'M. Osei'
+            },
+            {
+                bookingId: 'SP-240402', reg: 'GF12ABC', status: 'parked', customer: 'Tom Reed',
+                email: 'tom@example.com', phone: '+447700900333', product: 'Meet and Greet', terminal: 'T5',
+                arrival: daysAgo(3, 7), return: null, driverName: 'A. Singh'
+            }
+        ];
+    }
+
+    async mockFetch(url) {
+        const urlObj = new URL(url, location.origin);
+        const params = urlObj.searchParams;
+        if (urlObj.pathname.endsWith('/bookings/stats')) {
+            const days = Math.max(1, Math.round((new Date(params.get('to')) - new Date(params.get('from'))) / 86400000) + 1);
+            const volumes = (daily) => Object.entries(daily).map(([name, perDay]) => ({ name, bookings: perDay * days }));
+            return new Response(JSON.stringify({
+                drivers: volumes(BookingsApi.mockDailyVolumes.drivers),
+                terminals: volumes(BookingsApi.mockDailyVolumes.terminals)
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        const reg = BookingsApi.normaliseReg(params.get('reg') || '');
+        const ref = (params.get('ref') || '').toUpperCase();
+        const email = (params.get('email') || '').toLowerCase();
+
+        const booking = BookingsApi.mockBookings().find(b =>
+            b.reg === reg &&
+            (!ref || b.bookingId === ref) &&
+            (!email || b.email === email));
+
+        return new Response(
+            booking ? JSON.stringify(booking) : JSON.stringify({ error: 'No matching booking' }),
+            {
+                status: booking ? 200 : 404,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+    }
+}
+
+// Ticket Workflow
+const TicketWorkflow = {
+    states: ['New', 'Triage', 'Investigating', 'Awaiting Customer', 'Repair Scheduled', 'Resolved', 'Rejected'],
+
+    // Allowed next states for each state; closed tickets can only be reopened
+    transitions: {
+        'New': ['Triage', 'Investigating', 'Rejected'],
+        'Triage': ['Investigating', 'Awaiting Customer', 'Resolved', 'Rejected'],
+        'Investigating': ['Awaiting Customer', 'Repair Scheduled', 'Resolved', 'Rejected'],
+        'Awaiting Customer': ['Investigating', 'Repair Scheduled', 'Resolved', 'Rejected'],
+        'Repair Scheduled': ['Investigating', 'Awaiting Customer', 'Resolved'],
+        'Resolved': ['Investigating'],
+        'Rejected': ['Investigating']
+    },
+
+    // Preconditions for entering a state; each returns a message when unmet
+    guards: {
+        'Repair Scheduled': [
+            (ticket) => ticket.admin.repair?.repairer ? null : 'Choose a repairer first',
+            (ticket) => ticket.admin.repair?.scheduledDate ? null : 'Set a scheduled date first'
+        ],
+        'Resolved': [
+            (ticket) => ticket.admin.findings?.trim() ? null : 'Record findings before resolving'
+        ],
+        'Rejected': [
+            (ticket) => ticket.admin.outcome?.rejectReason?.trim() ? null : 'Reject reason is required before setting status to Rejected'
+        ]
+    },
+
+    // Returns { allowed, reasons } for moving `ticket` to `toStatus`
+    check(ticket, toStatus) {
+        const mergedInto = DuplicateDetection.mergedInto(ticket);
+        if (mergedInto) {
+            return { allowed: false, reasons: [`Merged into ${mergedInto}; work on that ticket instead`] };
+        }
+        if (!this.states.includes(toStatus)) {
+            return { allowed: false, reasons: [`Unknown status ${toStatus}`] };
+        }
+        if (ticket.status === toStatus) {
+            return { allowed: false, reasons: [`Ticket is already ${toStatus}`] };
+        }
+        if (!(this.transitions[ticket.status] || []).includes(toStatus)) {
+            return { allowed: false, reasons: [`Not allowed from ${ticket.status}`] };
+        }
+
+        const reasons = (this.guards[toStatus] || [])
+            .map(guard => guard(ticket))
+            .filter(Boolean);
+        return { allowed: reasons.length === 0, reasons };
+    }
+};
+
+// SLA Targets
+const SlaPolicy = {
+    // Statuses where the clock runs while the ticket waits on us (or on the customer)
+    trackedStatuses: ['New', 'Triage', 'Awaiting Customer'],
+    natures: ['Damage', 'Mileage', 'Long waiting', 'Service failure'],
+
+    // Share of the target after which a ticket is flagged as nearly due
+    warningRatio: 0.75,
+
+    // Target hours per status, optionally overridden per complaint nature
+    defaultSettings() {
+        return {
+            targets: { 'New': 4, 'Triage': 24, 'Awaiting Customer': 72 },
+            natureOverrides: { 'Damage': { 'New': 2, 'Triage': 12 } }
+        };
+    },
+
+    targetHours(ticket, settings) {
+        const override = settings.natureOverrides?.[ticket.nature]?.[ticket.status];
+        const target = override ?? settings.targets?.[ticket.status];
+        return target > 0 ? target : null;
+    },
+
+    // When the ticket entered its current status, read back from the audit trail
+    statusEnteredAt(ticket) {
+        const entry = [...(ticket.audit || [])].reverse()
+            .find(e => e.type === 'status.changed' && e.to === ticket.status);
+        return new Date(entry?.at || ticket.audit?.[0]?.at || ticket.createdAt).getTime();
+    },
+
+    // Returns null for untracked statuses, else { dueAt, remainingMs, targetHours, state }
+    evaluate(ticket, settings, now = Date.now()) {
+        if (!this.trackedStatuses.includes(ticket.status)) return null;
+
+        const targetHours = this.targetHours(ticket, settings);
+        if (!targetHours) return null;
+
+        const enteredAt = this.statusEnteredAt(ticket);
+        const targetMs = targetHours * 3600000;
+        const dueAt = enteredAt + targetMs;
+        const remainingMs = dueAt - now;
+
+        let state = 'ok';
+        if (remainingMs <= 0) {
+            state = 'breached';
+        } else if (now - enteredAt >= targetMs * this.warningRatio) {
+            state = 'warning';
+        }
+
+        return { enteredAt, dueAt, remainingMs, targetHours, state };
+    },
+
+    // A breach is recorded once per stay in a status
+    hasRecordedBreach(ticket, sla) {
+        return (ticket.audit || []).some(entry =>
+            entry.action.startsWith('SLA breached') && new Date(entry.at).getTime() >= sla.enteredAt
+        );
+    },
+
+    formatRemaining(remainingMs) {
+        const minutes = Math.round(Math.abs(remainingMs) / 60000);
+        const text = minutes >= 1440
+            ? `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`
+            : minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+        return remainingMs > 0 ? `${text} left` : `Overdue ${text}`;
+    }
+};
+
+// Evidence Files
+const EvidencePolicy = {
+    limits: {
+        image: {
+            label: 'Images',
+            maxBytes: 15 * 1024 * 1024,
+            mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif']
+        },
+        video: {
+            label: 'Videos',
+            maxBytes: 200 * 1024 * 1024,
+            mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm']
+        },
+        doc: {
+            label: 'Documents',
+            maxBytes: 20 * 1024 * 1024,
+            mimeTypes: [
+                'application/pdf',
+                'application/msword',
+                'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            ]
+        }
+    },
+
+    // Some browsers leave File.type empty (HEIC, DOCX); fall back to the extension
+    extensionTypes: {
+        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp',
+        heic: 'image/heic', heif: 'image/heif', mp4: 'video/mp4', mov: 'video/quicktime',
+        webm: 'video/webm', pdf: 'application/pdf', doc: 'application/msword',
+        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+
+    mimeType(file) {
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return file.type || this.extensionTypes[extension] || '';
+    },
+
+    // Returns an error message, or null when the file is acceptable for `kind`
+    validate(file, kind) {
+        const limits = this.limits[kind];
+        if (!limits) return `Unknown evidence kind ${kind}`;
+
+        const mimeType = this.mimeType(file);
+        if (!limits.mimeTypes.includes(mimeType)) {
+            return `${file.name} is not a supported ${kind} type (${mimeType || 'unknown type'})`;
+        }
+        if (file.size > limits.maxBytes) {
+            return `${file.name} is larger than the ${Math.round(limits.maxBytes / 1048576)} MB limit for ${limits.label.toLowerCase()}`;
+        }
+        return null;
+    },
+
+    // SHA-256 of the file contents; doubles as the blob store key
+    async hash(file) {
+        if (!crypto.subtle) {
+            throw new Error('Evidence uploads need a secure context (HTTPS or localhost)');
+        }
+        const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    allEvidence(ticket) {
+        return [
+            ...ticket.complaint.images,
+            ...ticket.complaint.videos,
+            ...ticket.admin.supportingImages,
+            ...ticket.admin.supportingVideos,
+            ...ticket.admin.supportingDocs
+        ];
+    },
+
+    findDuplicate(ticket, hash) {
+        return this.allEvidence(ticket).find(evidence => evidence.hash === hash);
+    }
+};
+
+// EXIF Metadata
+const ExifReader = {
+    // EXIF lives in the first APP1 segment, well inside the first 128 KB
+    headerBytes: 128 * 1024,
+
+    tags: {
+        make: 0x010F,
+        model: 0x0110,
+        exifPointer: 0x8769,
+        gpsPointer: 0x8825,
+        dateTimeOriginal: 0x9003,
+        offsetTimeOriginal: 0x9011
+    },
+
+    // Returns { takenAt, camera, gps } or null for non-JPEG files and images without EXIF
+    async read(file) {
+        if (EvidencePolicy.mimeType(file) !== 'image/jpeg') return null;
+        try {
+            return this.parse(await file.slice(0, this.headerBytes).arrayBuffer());
+        } catch (error) {
+            console.warn(`Unreadable EXIF in ${file.name}:`, error);
+            return null;
+        }
+    },
+
+    parse(buffer) {
+        const view = new DataView(buffer);
+        if (view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                return this.parseTiff(view, offset + 10);
+            }
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+            offset += 2 + length;
+        }
+        return null;
+    },
+
+    parseTiff(view, tiffStart) {
+        const little = view.getUint16(tiffStart) === 0x4949;
+        const ifd0 = this.readIfd(view, tiffStart, tiffStart + view.getUint32(tiffStart + 4, little), little);
+        const exifIfd = ifd0[this.tags.exifPointer]
+            ? this.readIfd(view, tiffStart, tiffStart + ifd0[this.tags.exifPointer], little)
+            : {};
+        const gpsIfd = ifd0[this.tags.gpsPointer]
+            ? this.readIfd(view, tiffStart, tiffStart + ifd0[this.tags.gpsPointer], little)
+            : {};
+
+        const camera = [ifd0[this.tags.make], ifd0[this.tags.model]]
+            .filter(Boolean)
+            .map(part => part.trim())
+            .join(' ') || undefined;
+
+        return {
+            takenAt: this.toIsoDate(exifIfd[this.tags.dateTimeOriginal], exifIfd[this.tags.offsetTimeOriginal]),
+            camera,
+            gps: this.toCoordinates(gpsIfd)
+        };
+    },
+
+    // Tag id -> value for one IFD; only the value types EXIF dates, names and GPS use
+    readIfd(view, tiffStart, ifdStart, little) {
+        const values = {};
+        const count = view.getUint16(ifdStart, little);
+
+        for (let i = 0; i < count; i++) {
+            const entry = ifdStart + 2 + i * 12;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const components = view.getUint32(entry + 4, little);
+            const sizes = { 2: 1, 3: 2, 4: 4, 5: 8 };
+            if (!sizes[type]) continue;
+
+            const inline = sizes[type] * components <= 4;
+            const dataStart = inline ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+
+            if (type === 2) {
+                let text = '';
+                for (let c = 0; c < components - 1; c++) {
+                    text += String.fromCharCode(view.getUint8(dataStart + c));
+                }
+                values[tag] = text;
+            } else if (type === 3) {
+                values[tag] = view.getUint16(dataStart, little);
+            } else if (type === 4) {
+                values[tag] = view.getUint32(dataStart, little);
+            } else {
+                values[tag] = Array.from({ length: components }, (_, c) =>
+                    view.getUint32(dataStart + c * 8, little) / (view.getUint32(dataStart + c * 8 + 4, little) || 1)
+                );
+            }
+        }
+        return values;
+    },
+
+    // "2025:09:20 14:05:00" is camera local time unless an offset tag says otherwise
+    toIsoDate(dateTime, offset) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+        if (!match) return undefined;
+
+        const [, year, month, day, hour, minute, second] = match;
+        const date = offset
+            ? new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`)
+            : new Date(year, month - 1, day, hour, minute, second);
+        return isNaN(date) ? undefined : date.toISOString();
+    },
+
+    toCoordinates(gps) {
+        const toDegrees = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+        if (!gps[2] || !gps[4]) return undefined;
+
+        const lat = toDegrees(gps[2]) * (gps[1] === 'S' ? -1 : 1);
+        const lon = toDegrees(gps[4]) * (gps[3] === 'W' ? -1 : 1);
+        return { lat: Math.round(lat * 1e6) / 1e6, lon: Math.round(lon * 1e6) / 1e6 };
+    }
+};
+
+// Evidence Timing Checks
+const EvidenceChecks = {
+    // Tolerated gap between the EXIF time and the time the agent entered
+    maxClockSkewMinutes: 10,
+
+    // Customers usually photograph damage shortly after collecting the car
+    returnGraceHours: 24,
+
+    // Warnings for an evidence item, derived at render time so booking edits are picked up
+    flags(evidence, ticket) {
+        const exifTime = evidence.exif?.takenAt ? new Date(evidence.exif.takenAt).getTime() : null;
+        if (exifTime === null) return [];
+
+        const flags = [];
+        const enteredTime = evidence.takenAt ? new Date(evidence.takenAt).getTime() : null;
+        if (enteredTime !== null && Math.abs(exifTime - enteredTime) > this.maxClockSkewMinutes * 60000) {
+            flags.push(`EXIF time ${Utils.formatDate(evidence.exif.takenAt)} differs from the entered time`);
+        }
+
+        const arrivalAt = ticket.booking?.arrivalAt ? new Date(ticket.booking.arrivalAt).getTime() : null;
+        const returnAt = ticket.booking?.returnAt ? new Date(ticket.booking.returnAt).getTime() : null;
+        if (arrivalAt !== null && exifTime < arrivalAt) {
+            flags.push('Photo predates the vehicle handover to us');
+        }
+        if (returnAt !== null && exifTime > returnAt + this.returnGraceHours * 3600000) {
+            flags.push(`Photo taken more than ${this.returnGraceHours}h after the vehicle was returned`);
+        }
+        return flags;
+    }
+};
+
+// Claim Pack Export
+const ClaimPack = {
+    // Document model shared by the printable and PDF renderers
+    build(ticket) {
+        const outcome = ticket.admin.outcome || {};
+        const repair = ticket.admin.repair || {};
+        const payout = ticket.admin.payout || Payout.empty();
+        const totals = Payout.totals(payout);
+        const yesNo = (value) => value ? 'Yes' : 'No';
+        const evidenceLists = [
+            ['Customer photos', ticket.complaint.images],
+            ['Customer videos', ticket.complaint.videos],
+            ['Supporting photos', ticket.admin.supportingImages],
+            ['Supporting videos', ticket.admin.supportingVideos],
+            ['Supporting documents', ticket.admin.supportingDocs]
+        ];
+
+        return {
+            ticketId: ticket.id,
+            title: `Claim pack — Ticket ${ticket.id}`,
+            subtitle: `Status: ${ticket.status} • Created ${Utils.formatDate(ticket.createdAt)}`,
+            generatedAt: new Date().toISOString(),
+            sections: [
+                {
+                    heading: 'Customer',
+                    fields: [
+                        ['Name', ticket.customer.name],
+                        ['Phone', ticket.customer.phone],
+                        ['Email', ticket.customer.email],
+                        ['Address', ticket.customer.address]
+                    ]
+                },
+                {
+                    heading: 'Booking',
+                    fields: [
+                        ['Registration', ticket.booking?.reg],
+                        ['Terminal', ticket.booking?.terminal],
+                        ['Driver', ticket.booking?.driverName],
+                        ['Booking ID', ticket.booking?.bookingId],
+                        ['Handed over', ticket.booking?.arrivalAt && Utils.formatDate(ticket.booking.arrivalAt)],
+                        ['Returned', ticket.booking?.returnAt && Utils.formatDate(ticket.booking.returnAt)]
+                    ]
+                },
+                {
+                    heading: 'Complaint',
+                    fields: [
+                        ['Nature', ticket.nature],
+                        ['Informed', ticket.informedTiming],
+                        ['Incident date', ticket.complaint.incidentDate],
+                        ['Notified driver', yesNo(ticket.complaint.customerNotifiedDriver)],
+                        ['Damage types', (ticket.complaint.damageTypes || []).join(', ')]
+                    ],
+                    text: ticket.complaint.description
+                },
+                {
+                    heading: 'Evidence',
+                    evidence: evidenceLists.flatMap(([list, items]) => items.map(evidence => ({
+                        list,
+                        name: evidence.name,
+                        kind: evidence.kind,
+                        hash: evidence.hash,
+                        mimeType: evidence.mimeType,
+                        takenAt: evidence.takenAt,
+                        exifTakenAt: evidence.exif?.takenAt,
+                        flags: EvidenceChecks.flags(evidence, ticket)
+                    })))
+                },
+                {
+                    heading: 'Findings',
+                    text: ticket.admin.findings || 'No findings recorded.'
+                },
+                {
+                    heading: 'Outcome',
+                    fields: [
+                        ['Decision', outcome.decision],
+                        ['Solution', outcome.solution],
+                        ['Reject reason', outcome.rejectReason],
+                        ['Liability accepted', yesNo(outcome.liabilityAccepted)],
+                        ['Flagged as false claim', yesNo(outcome.falseClaimFlag)]
+                    ]
+                },
+                {
+                    heading: 'Repair schedule',
+                    fields: [
+                        ['Repairer', repair.repairer],
+                        ['Timeframe', repair.timeframeDays !== undefined ? `${repair.timeframeDays} days` : undefined],
+                        ['Scheduled date', repair.scheduledDate],
+                        ['Time window', repair.scheduledWindow],
+                        ['Customer preferred time', repair.preferredTime]
+                    ]
+                },
+                {
+                    heading: 'Payout',
+                    fields: [
+                        ['Status', Payout.statuses[payout.status]],
+                        ['Liability', Utils.formatMoney(totals.liability)],
+                        ['Goodwill', Utils.formatMoney(totals.goodwill)],
+                        ['Total', Utils.formatMoney(totals.total)],
+                        ['Payment reference', payout.paymentReference]
+                    ],
+                    rows: payout.items.map(item => [item.description, Payout.bases[item.basis], Utils.formatMoney(item.amount)])
+                },
+                {
+                    heading: 'Audit log',
+                    pageBreak: true,
+                    rows: (ticket.audit || []).map(entry => [Utils.formatDate(entry.at), entry.actor, entry.action])
+                }
+            ]
+        };
+    },
+
+    styles: `
+        body { font-family: 'Segoe UI', system-ui, sans-serif; color: #212529; margin: 0; padding: 24px; font-size: 12px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 14px; border-bottom: 1px solid #dee2e6; padding-bottom: 4px; margin: 20px 0 8px; }
+        .muted { color: #6c757d; }
+        dl { display: grid; grid-template-columns: 160px 1fr; gap: 2px 12px; margin: 0; }
+        dt { color: #6c757d; }
+        dd { margin: 0; }
+        p { white-space: pre-wrap; margin: 8px 0 0; }
+        .evidence { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+        .evidence figure { margin: 0; border: 1px solid #dee2e6; border-radius: 4px; padding: 6px; break-inside: avoid; }
+        .evidence img { width: 100%; height: 140px; object-fit: cover; }
+        .flag { color: #b45309; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+        @page { size: A4; margin: 15mm; }
+        @media print {
+            body { padding: 0; }
+            .page-break { break-before: page; }
+            h2 { break-after: avoid; }
+            tr { break-inside: avoid; }
+        }
+    `,
+
+    // imageUrls maps evidence hash -> displayable URL
+    renderHtml(pack, imageUrls = new Map()) {
+        const esc = (value) => Utils.sanitizeHtml(value ?? '');
+        const renderFields = (fields) => `
+            <dl>${fields.map(([label, value]) => `<dt>${esc(label)}</dt><dd>${esc(value || '—')}</dd>`).join('')}</dl>
+        `;
+        const renderEvidence = (items) => items.length === 0 ? '<div class="muted">No evidence attached.</div>' : `
+            <div class="evidence">
+                ${items.map(item => `
+                    <figure>
+                        ${imageUrls.has(item.hash) ? `<img src="${imageUrls.get(item.hash)}" alt="${esc(item.name)}">` : ''}
+                        <figcaption>
+                            <div><strong>${esc(item.name)}</strong></div>
+                            <div class="muted">${esc(item.list)}</div>
+                            ${item.takenAt ? `<div class="muted">Taken ${esc(Utils.formatDate(item.takenAt))}</div>` : ''}
+                            ${item.exifTakenAt ? `<div class="muted">EXIF ${esc(Utils.formatDate(item.exifTakenAt))}</div>` : ''}
+                            ${item.flags.map(flag => `<div class="flag">${esc(flag)}</div>`).join('')}
+                        </figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+        const renderRows = (rows) => `
+            <table>
+                <thead><tr><th>When</th><th>Who</th><th>Action</th></tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(pack.title)}</title>
+<style>${this.styles}</style>
+</head>
+<body>
+<h1>${esc(pack.title)}</h1>
+<div class="muted">${esc(pack.subtitle)} • Generated ${esc(Utils.formatDate(pack.generatedAt))}</div>
+${pack.sections.map(section => `
+<section class="${section.pageBreak ? 'page-break' : ''}">
+    <h2>${esc(section.heading)}</h2>
+    ${section.fields ? renderFields(section.fields) : ''}
+    ${section.text ? `<p>${esc(section.text)}</p>` : ''}
+    ${section.evidence ? renderEvidence(section.evidence) : ''}
+    ${section.rows ? renderRows(section.rows) : ''}
+</section>`).join('')}
+</body>
+</html>`;
+    },
+
+    openPrintable(pack, imageUrls) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('The browser blocked the print window; allow pop-ups for this site');
+        }
+        printWindow.document.write(this.renderHtml(pack, imageUrls));
+        printWindow.document.close();
+        printWindow.addEventListener('load', () => printWindow.print());
+    },
+
+    // images maps evidence hash -> data URL (JPEG or PNG only)
+    renderPdf(pack, images = new Map()) {
+        if (!window.jspdf?.jsPDF) {
+            throw new Error('PDF library is not loaded; use Print instead');
+        }
+
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const margin = 15;
+        const contentWidth = pageWidth - margin * 2;
+        let y = margin;
+
+        const ensureSpace = (height) => {
+            if (y + height > pageHeight - margin) {
+                doc.addPage();
+                y = margin;
+            }
+        };
+        const writeLines = (text, { size = 10, style = 'normal', indent = 0, color = 0 } = {}) => {
+            doc.setFont('helvetica', style);
+            doc.setFontSize(size);
+            doc.setTextColor(color);
+            const lineHeight = size * 0.45;
+            doc.splitTextToSize(String(text), contentWidth - indent).forEach(line => {
+                ensureSpace(lineHeight);
+                doc.text(line, margin + indent, y + lineHeight * 0.8);
+                y += lineHeight;
+            });
+        };
+
+        writeLines(pack.title, { size: 16, style: 'bold' });
+        writeLines(`${pack.subtitle} • Generated ${Utils.formatDate(pack.generatedAt)}`, { size: 9, color: 110 });
+
+        pack.sections.forEach(section => {
+            if (section.pageBreak) {
+                doc.addPage();
+                y = margin;
+            } else {
+                y += 4;
+            }
+            ensureSpace(12);
+            writeLines(section.heading, { size: 12, style: 'bold' });
+            doc.setDrawColor(200);
+            doc.line(margin, y + 1, pageWidth - margin, y + 1);
+            y += 3;
+
+            (section.fields || []).forEach(([label, value]) => {
+                writeLines(`${label}: ${value || '—'}`);
+            });
+            if (section.text) {
+                writeLines(section.text);
+            }
+            (section.evidence || []).forEach(item => {
+                const image = images.get(item.hash);
+                if (image) {
+                    const props = doc.getImageProperties(image);
+                    const ratio = props.height / props.width;
+                    const width = Math.min(60, 45 / ratio);
+                    const height = width * ratio;
+                    ensureSpace(height + 2);
+                    doc.addImage(image, props.fileType, margin, y, width, height);
+                    y += height + 2;
+                }
+                writeLines(`${item.name} (${item.list})`, { style: 'bold' });
+                if (item.takenAt) writeLines(`Taken ${Utils.formatDate(item.takenAt)}`, { size: 9, indent: 4 });
+                if (item.exifTakenAt) writeLines(`EXIF ${Utils.formatDate(item.exifTakenAt)}`, { size: 9, indent: 4 });
+                item.flags.forEach(flag => writeLines(flag, { size: 9, indent: 4, color: [180, 83, 9] }));
+                y += 2;
+            });
+            if (section.evidence?.length === 0) {
+                writeLines('No evidence attached.', { color: 110 });
+            }
+            (section.rows || []).forEach(row => {
+                writeLines(row.join(' — '), { size: 9 });
+            });
+        });
+
+        const pageCount = doc.getNumberOfPages();
+        for (let page = 1; page <= pageCount; page++) {
+            doc.setPage(page);
+            doc.setFontSize(8);
+            doc.setTextColor(110);
+            doc.text(`${pack.title} • Page ${page} of ${pageCount}`, pageWidth / 2, pageHeight - 8, { align: 'center' });
+        }
+
+        doc.save(`claim-pack-${pack.ticketId}.pdf`);
+    },
+
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+};
+
+// CSV Encoding (RFC 4180)
+const Csv = {
+    parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    },
+
+    stringify(rows) {
+        return rows.map(row => row.map(cell => this.escapeCell(cell)).join(',')).join('\r\n');
+    },
+
+    // Quote where needed, and defuse spreadsheet formulas with a leading apostrophe
+    escapeCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    unescapeCell(text) {
+        return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+    }
+};
+
+// Ticket Import & Export
+const TicketTransfer = {
+    // CSV column -> complaint form field id; the form's own rules validate each row
+    formColumns: {
+        nature: 'complaint-nature',
+        customer_name: 'customer-name',
+        customer_phone: 'customer-phone',
+        customer_email: 'customer-email',
+        customer_address: 'customer-address',
+        vehicle_reg: 'vehicle-reg',
+        terminal: 'terminal',
+        driver_name: 'driver-name',
+        incident_date: 'incident-date',
+        description: 'complaint-description'
+    },
+
+    // Columns outside the portal form
+    extraColumns: ['id', 'created_at', 'status', 'damage_types', 'informed_timing', 'notified_driver',
+        'findings', 'repairer', 'claim_amount', 'booking_id', 'legacy_ids'],
+
+    get columns() {
+        return [...this.extraColumns.slice(0, 3), ...Object.keys(this.formColumns), ...this.extraColumns.slice(3)];
+    },
+
+    // "Customer Name", "customer-name" and "customer_name" all map to customer_name
+    normaliseHeader(header) {
+        return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    },
+
+    ticketToRow(ticket) {
+        return {
+            id: ticket.id,
+            created_at: ticket.createdAt,
+            status: ticket.status,
+            nature: ticket.nature,
+            customer_name: ticket.customer.name,
+            customer_phone: ticket.customer.phone,
+            customer_email: ticket.customer.email,
+            customer_address: ticket.customer.address,
+            vehicle_reg: ticket.booking?.reg,
+            terminal: ticket.booking?.terminal,
+            driver_name: ticket.booking?.driverName,
+            incident_date: ticket.complaint.incidentDate,
+            description: ticket.complaint.description,
+            damage_types: (ticket.complaint.damageTypes || []).join('; '),
+            informed_timing: ticket.informedTiming,
+            notified_driver: ticket.complaint.customerNotifiedDriver ? 'yes' : 'no',
+            findings: ticket.admin.findings,
+            repairer: ticket.admin.repair?.repairer,
+            claim_amount: ticket.admin.repair?.claimAmount,
+            booking_id: ticket.booking?.bookingId,
+            legacy_ids: (ticket.legacyIds || []).join('; ')
+        };
+    },
+
+    // Same shape collectComplaintFormData() produces
+    rowToComplaintData(row) {
+        return {
+            nature: row.nature,
+            informedTiming: row.informed_timing || undefined,
+            customer: {
+                name: row.customer_name,
+                email: row.customer_email || '',
+                phone: row.customer_phone,
+                address: row.customer_address || ''
+            },
+            booking: {
+                reg: row.vehicle_reg || '',
+                terminal: row.terminal || '',
+                driverName: row.driver_name || '',
+                bookingId: row.booking_id || null
+            },
+            complaint: {
+                damageTypes: (row.damage_types || '').split(/[;|]/).map(type => type.trim()).filter(Boolean),
+                description: row.description,
+                incidentDate: row.incident_date || '',
+                customerNotifiedDriver: /^(yes|y|true|1)$/i.test(row.notified_driver || '')
+            }
+        };
+    },
+
+    // Returns a list of error messages for one row
+    validateRow(row, formRules) {
+        const values = {};
+        Object.entries(this.formColumns).forEach(([column, fieldId]) => {
+            values[fieldId] = row[column];
+        });
+
+        const errors = Object.entries(Validation.validateValues(values, formRules))
+            .map(([fieldId, message]) => `${Object.keys(this.formColumns).find(c => this.formColumns[c] === fieldId)}: ${message}`);
+
+        if (row.nature === 'Damage' && !(row.damage_types || '').trim()) {
+            errors.push('damage_types: At least one damage type is required for damage complaints');
+        }
+        if (row.status && !TicketWorkflow.states.includes(row.status)) {
+            errors.push(`status: Unknown status ${row.status}`);
+        }
+        if (row.created_at && isNaN(new Date(row.created_at))) {
+            errors.push('created_at: Not a valid date');
+        }
+        if (row.claim_amount && isNaN(parseFloat(row.claim_amount))) {
+            errors.push('claim_amount: Not a number');
+        }
+        return errors;
+    },
+
+    // Parse CSV text into header-keyed rows
+    parseCsv(text) {
+        const [header = [], ...records] = Csv.parse(text);
+        const columns = header.map(h => this.normaliseHeader(h));
+        const unknownColumns = columns.filter(column => column && !this.columns.includes(column));
+
+        const rows = records.map(record => {
+            const row = {};
+            columns.forEach((column, i) => {
+                row[column] = Csv.unescapeCell((record[i] || '').trim());
+            });
+            return row;
+        });
+        return { rows, unknownColumns };
+    },
+
+    // Dry run: validates every row and builds the tickets without touching state.
+    // createTicket is the desk's createTicketFromComplaint, so imports match portal tickets.
+    plan(rows, { formRules, existingIds, createTicket, source }) {
+        const seenIds = new Set();
+        const accepted = [];
+        const rejected = [];
+
+        rows.forEach((row, index) => {
+            const errors = this.validateRow(row, formRules);
+            if (row.id && (existingIds.has(row.id) || seenIds.has(row.id))) {
+                errors.push(`id: Ticket ${row.id} already exists`);
+            }
+            if (errors.length > 0) {
+                rejected.push({ line: index + 2, id: row.id, errors });
+                return;
+            }
+
+            // Rows without an id are numbered when the import is confirmed
+            const ticket = createTicket(this.rowToComplaintData(row));
+            if (row.id) ticket.id = row.id;
+            if (row.created_at) ticket.createdAt = new Date(row.created_at).toISOString();
+            if (row.status) ticket.status = row.status;
+            if (row.findings) ticket.admin.findings = row.findings;
+            if (row.legacy_ids) ticket.legacyIds = row.legacy_ids.split(/[;|]/).map(id => id.trim()).filter(Boolean);
+            if (row.repairer || row.claim_amount) {
+                ticket.admin.repair = {
+                    repairer: row.repairer || '',
+                    claimAmount: parseFloat(row.claim_amount) || undefined
+                };
+                ticket.admin.payout = Payout.fromClaimAmount(ticket.admin.repair.claimAmount);
+            }
+            ticket.audit = [AuditTrail.event('ticket.imported', {
+                actor: 'system',
+                reason: source,
+                action: `Ticket imported from ${source}`
+            })];
+
+            if (ticket.id) seenIds.add(ticket.id);
+            accepted.push({ line: index + 2, ticket });
+        });
+
+        return { accepted, rejected };
+    },
+
+    // JSON imports are full tickets (as exported); they are migrated, then checked like CSV rows
+    planJson(text, { formRules, existingIds }) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data.tickets;
+        if (!Array.isArray(records)) {
+            throw new Error('Expected an array of tickets or { tickets: [...] }');
+        }
+
+        const seenIds = new Set();
+        const accepted = [];
+        const rejected = [];
+        records.forEach((record, index) => {
+            let ticket;
+            let errors;
+            try {
+                ticket = TicketSchema.migrate(record);
+                errors = this.validateRow(this.ticketToRow(ticket), formRules);
+            } catch (error) {
+                errors = [error.message];
+            }
+            if (!record.id) {
+                errors.push('id: Missing ticket id');
+            } else if (existingIds.has(record.id) || seenIds.has(record.id)) {
+                errors.push(`id: Ticket ${record.id} already exists`);
+            }
+
+            if (errors.length > 0) {
+                rejected.push({ line: index + 1, id: record.id, errors });
+            } else {
+                seenIds.add(ticket.id);
+                accepted.push({ line: index + 1, ticket });
+            }
+        });
+        return { accepted, rejected };
+    },
+
+    toCsv(tickets) {
+        const columns = this.columns;
+        return Csv.stringify([
+            columns,
+            ...tickets.map(ticket => {
+                const row = this.ticketToRow(ticket);
+                return columns.map(column => row[column]);
+            })
+        ]);
+    },
+
+    toJson(tickets) {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), tickets }, null, 2);
+    }
+};
+
+// Ticket Search Queries
+// `status:Triage,New nature:Damage terminal:T5 created:>2025-09-01 claim:100..500 reg:AB12* -status:Rejected`
+// Qualified terms are ANDed, comma-separated values are ORed, a leading `-` negates a term
+// and anything unqualified is matched as free text. `driver:="A. Singh"` matches the whole value
+// (case and spacing aside) where `driver:singh` matches part of it.
+const TicketQuery = {
+    qualifiers: {
+        id: { type: 'pattern', get: (t) => [t.id, ...(t.legacyIds || [])] },
+        status: { type: 'exact', get: (t) => t.status },
+        nature: { type: 'exact', get: (t) => t.nature },
+        terminal: { type: 'exact', get: (t) => t.booking?.terminal },
+        reg: { type: 'pattern', get: (t) => (t.booking?.reg || '').replace(/\s/g, '') },
+        name: { type: 'contains', get: (t) => t.customer.name },
+        email: { type: 'contains', get: (t) => t.customer.email },
+        phone: { type: 'contains', get: (t) => (t.customer.phone || '').replace(/\s/g, '') },
+        driver: { type: 'contains', get: (t) => t.booking?.driverName },
+        damage: { type: 'exact', get: (t) => t.complaint.damageTypes || [] },
+        created: { type: 'date', get: (t) => t.createdAt },
+        incident: { type: 'date', get: (t) => t.complaint.incidentDate },
+        claim: { type: 'number', get: (t) => t.admin.repair?.claimAmount },
+        payout: { type: 'exact', get: (t) => t.admin.payout?.status || 'pending' },
+        // assignee:me, assignee:none, or a username or user id
+        assignee: {
+            type: 'exact',
+            get: (t, context) => {
+                if (!t.assignee) return ['none'];
+                const user = context.users?.find(u => u.id === t.assignee);
+                return [t.assignee, user?.username, t.assignee === context.currentUserId ? 'me' : null].filter(Boolean);
+            }
+        },
+        sla: { type: 'exact', get: (t, context) => SlaPolicy.evaluate(t, context.slaSettings, context.now)?.state || 'none' }
+    },
+
+    sorters: {
+        oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+        urgency: (a, b, context) => {
+            const dueAt = (t) => SlaPolicy.evaluate(t, context.slaSettings, context.now)?.dueAt ?? Infinity;
+            return dueAt(a) - dueAt(b);
+        },
+        status: (a, b) => TicketWorkflow.states.indexOf(a.status) - TicketWorkflow.states.indexOf(b.status),
+        claim: (a, b) => (b.admin.repair?.claimAmount || 0) - (a.admin.repair?.claimAmount || 0),
+        customer: (a, b) => a.customer.name.localeCompare(b.customer.name)
+    },
+
+    defaultViews: [
+        { id: 'my-tickets', name: 'My tickets', query: 'assignee:me -status:Resolved,Rejected', sortOrder: 'urgency' },
+        { id: 'open-damage', name: 'My open damage claims', query: 'assignee:me nature:Damage -status:Resolved,Rejected', sortOrder: 'urgency' },
+        { id: 'breaching-sla', name: 'Breaching SLA', query: 'sla:breached,warning', sortOrder: 'urgency' }
+    ],
+
+    // Split on whitespace, keeping "quoted phrases" (also after a qualifier) together.
+    // A backslash escapes the next character, so \" and \, can appear inside a value.
+    tokenize(input) {
+        return input.match(/-?[\w]+:=?"(?:[^"\\]|\\.)*"?|"(?:[^"\\]|\\.)*"?|\S+/g) || [];
+    },
+
+    // Escapes a literal value for use after a qualifier, quoted when it holds spaces
+    quote(value) {
+        const escaped = String(value).replace(/[\\",]/g, '\\$&');
+        return /\s/.test(value) ? `"${escaped}"` : escaped;
+    },
+
+    // Comma-separated options with quotes dropped and escapes resolved
+    options(value) {
+        return (value.match(/(?:[^,\\]|\\.)+/g) || []).map(option => option.replace(/\\(.)/g, '$1'));
+    },
+
+    parse(input) {
+        const terms = [];
+        const text = [];
+
+        this.tokenize(input).forEach(raw => {
+            const match = /^(-?)(\w+):(.*)$/.exec(raw);
+            if (!match) {
+                text.push(raw.replace(/"/g, '').toLowerCase());
+                return;
+            }
+
+            const [, negate, key, rawValue] = match;
+            const qualifier = this.qualifiers[key.toLowerCase()];
+            const value = rawValue.replace(/\\.|"/g, token => token === '"' ? '' : token);
+            if (!qualifier) {
+                terms.push({ raw, key, value, negate: !!negate, error: `Unknown filter ${key}` });
+            } else if (!value) {
+                terms.push({ raw, key, value, negate: !!negate, error: `${key} needs a value` });
+            } else {
+                terms.push({ raw, key: key.toLowerCase(), value, negate: !!negate, ...this.parseValue(qualifier.type, value) });
+            }
+        });
+
+        return { terms, text: text.filter(Boolean) };
+    },
+
+    // Comparison operators and ranges for dates and numbers; OR-lists for the rest
+    parseValue(type, value) {
+        if (type === 'date' || type === 'number') {
+            const toValue = (v) => type === 'date' ? this.parseDate(v) : parseFloat(v);
+            const range = /^(.+)\.\.(.+)$/.exec(value);
+            if (range) {
+                const [from, to] = [toValue(range[1]), toValue(range[2])];
+                return isNaN(from) || isNaN(to) ? { error: `Invalid range ${value}` } : { op: 'range', from, to };
+            }
+            const [, op = '=', operand] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+            const parsed = toValue(operand);
+            return isNaN(parsed) ? { error: `Invalid ${type} ${operand}` } : { op, operand: parsed };
+        }
+        if (value.startsWith('=')) {
+            return { op: 'is', options: this.options(value.slice(1)).map(option => this.normaliseValue(option)).filter(Boolean) };
+        }
+        return { op: 'in', options: this.options(value.toLowerCase()) };
+    },
+
+    normaliseValue(value) {
+        return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    // Dates compare at day resolution
+    parseDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? NaN : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    },
+
+    matchesTerm(ticket, term, context) {
+        const qualifier = this.qualifiers[term.key];
+        const raw = qualifier.get(ticket, context);
+
+        if (qualifier.type === 'date' || qualifier.type === 'number') {
+            if (raw === undefined || raw === null || raw === '') return false;
+            const value = qualifier.type === 'date' ? this.parseDate(raw) : Number(raw);
+            switch (term.op) {
+                case 'range': return value >= term.from && value <= term.to;
+                case '>': return value > term.operand;
+                case '>=': return value >= term.operand;
+                case '<': return value < term.operand;
+                case '<=': return value <= term.operand;
+                default: return value === term.operand;
+            }
+        }
+
+        if (term.op === 'is') {
+            const values = (Array.isArray(raw) ? raw : [raw]).map(v => this.normaliseValue(v));
+            return term.options.some(option => values.includes(option));
+        }
+
+        const values = (Array.isArray(raw) ? raw : [raw]).map(v => String(v ?? '').toLowerCase());
+        return term.options.some(option => values.some(value => {
+            if (qualifier.type === 'contains') return value.includes(option);
+            if (qualifier.type === 'pattern') {
+                const pattern = option.replace(/\s/g, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+                return new RegExp(`^${pattern}$`).test(value);
+            }
+            return value === option;
+        }));
+    },
+
+    // Every free-text word must hit the headline fields or the full-text index
+    matchesText(ticket, text, textMatches) {
+        return text.every(word =>
+            ticket.id.toLowerCase().includes(word) ||
+            (ticket.legacyIds || []).some(id => id.toLowerCase().includes(word)) ||
+            ticket.customer.name.toLowerCase().includes(word) ||
+            (ticket.booking?.reg || '').toLowerCase().includes(word) ||
+            ticket.status.toLowerCase().includes(word) ||
+            !!textMatches?.get(word)?.has(ticket.id)
+        );
+    },
+
+    matches(ticket, query, context) {
+        return query.terms.every(term => term.error || this.matchesTerm(ticket, term, context) !== term.negate) &&
+            this.matchesText(ticket, query.text, context.textMatches);
+    },
+
+    // Query string with one token removed, for the chip close buttons
+    without(input, raw) {
+        const tokens = this.tokenize(input);
+        tokens.splice(tokens.indexOf(raw), 1);
+        return tokens.join(' ');
+    }
+};
+
+// Full-Text Search Index
+// Inverted index over the free-text parts of a ticket, updated one ticket at a time.
+class SearchIndex {
+    constructor() {
+        this.postings = new Map();      // term -> Set of ticket ids
+        this.documentTerms = new Map(); // ticket id -> Set of terms, for cheap removal
+        this.vocabularyByLength = new Map(); // term length -> Set of terms, for fuzzy lookups
+    }
+
+    static stopWords = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'i', 'in',
+        'is', 'it', 'my', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'we', 'were', 'with']);
+
+    // Text fields indexed per ticket, with the label shown next to a highlighted snippet
+    static fields = [
+        ['Description', (t) => t.complaint.description],
+        ['Findings', (t) => t.admin.findings],
+        ['Solution', (t) => t.admin.outcome?.solution],
+        ['Reject reason', (t) => t.admin.outcome?.rejectReason],
+        ['Audit', (t) => (t.audit || []).map(entry => entry.action).join(' • ')],
+        ['Customer', (t) => [t.customer.name, t.customer.email].join(' ')],
+        ['Booking', (t) => [t.booking?.reg, t.booking?.terminal, t.booking?.driverName].join(' ')],
+        ['Damage', (t) => (t.complaint.damageTypes || []).join(' ')],
+        ['Previous ids', (t) => (t.legacyIds || []).join(' ')]
+    ];
+
+    // Light suffix stripping (plurals, -ing, -ed, -ly, -er, final e), not a full Porter stemmer
+    static stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) return word;
+
+        let stem = word;
+        if (stem.endsWith('ies') && stem.length > 4) stem = stem.slice(0, -3) + 'y';
+        else if (stem.endsWith('sses')) stem = stem.slice(0, -2);
+        else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+        const suffix = /(ingly|edly|ing|ed|ly|er)$/.exec(stem);
+        if (suffix && stem.length - suffix[0].length >= 3) {
+            stem = stem.slice(0, -suffix[0].length);
+            // "scratched" -> "scratch", "bumped" -> "bump", "stopped" -> "stop"
+            if (/([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+        }
+        if (stem.endsWith('e') && stem.length > 4) stem = stem.slice(0, -1);
+        return stem;
+    }
+
+    static words(text) {
+        return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+            .filter(word => !SearchIndex.stopWords.has(word));
+    }
+
+    static terms(text) {
+        return SearchIndex.words(text).map(word => SearchIndex.stem(word));
+    }
+
+    rebuild(tickets) {
+        this.postings.clear();
+        this.documentTerms.clear();
+        this.vocabularyByLength.clear();
+        tickets.forEach(ticket => this.update(ticket));
+    }
+
+    update(ticket) {
+        this.remove(ticket.id);
+
+        const terms = new Set(SearchIndex.fields.flatMap(([, get]) => SearchIndex.terms(get(ticket))));
+        terms.forEach(term => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+                if (!this.vocabularyByLength.has(term.length)) this.vocabularyByLength.set(term.length, new Set());
+                this.vocabularyByLength.get(term.length).add(term);
+            }
+            this.postings.get(term).add(ticket.id);
+        });
+        this.documentTerms.set(ticket.id, terms);
+    }
+
+    remove(ticketId) {
+        (this.documentTerms.get(ticketId) || []).forEach(term => {
+            const ids = this.postings.get(term);
+            ids.delete(ticketId);
+            if (ids.size === 0) {
+                this.postings.delete(term);
+                this.vocabularyByLength.get(term.length).delete(term);
+            }
+        });
+        this.documentTerms.delete(ticketId);
+    }
+
+    // Index terms a query word stands for: its stem, words it prefixes, and near misses
+    expand(word) {
+        const stem = SearchIndex.stem(word);
+        const expanded = new Set(this.postings.has(stem) ? [stem] : []);
+        const maxDistance = stem.length >= 9 ? 2 : stem.length >= 5 ? 1 : 0;
+
+        for (let length = stem.length - maxDistance; length <= stem.length + maxDistance + 12; length++) {
+            (this.vocabularyByLength.get(length) || []).forEach(term => {
+                if (word.length >= 3 && term.startsWith(stem)) {
+                    expanded.add(term);
+                } else if (Math.abs(length - stem.length) <= maxDistance && SearchIndex.withinDistance(stem, term, maxDistance)) {
+                    expanded.add(term);
+                }
+            });
+        }
+        return expanded;
+    }
+
+    // Query word -> Set of ticket ids containing every term of that word
+    search(words) {
+        const results = new Map();
+        words.forEach(word => {
+            const parts = SearchIndex.words(word);
+            let ids = null;
+            parts.forEach(part => {
+                const hits = new Set();
+                this.expand(part).forEach(term => this.postings.get(term).forEach(id => hits.add(id)));
+                ids = ids === null ? hits : new Set([...ids].filter(id => hits.has(id)));
+            });
+            results.set(word, ids || new Set());
+        });
+        return results;
+    }
+
+    // Bounded Levenshtein: gives up as soon as every path exceeds maxDistance
+    static withinDistance(a, b, maxDistance) {
+        if (maxDistance === 0) return a === b;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return false;
+            previous = current;
+        }
+        return previous[b.length] <= maxDistance;
+    }
+
+    // HTML snippet around the first field that contains a query term, with matches in <mark>
+    snippet(ticket, words, radius = 40) {
+        const wanted = new Set(words.flatMap(word => SearchIndex.words(word))
+            .flatMap(part => [SearchIndex.stem(part), ...this.expand(part)]));
+        if (wanted.size === 0) return '';
+
+        for (const [label, get] of SearchIndex.fields) {
+            const text = String(get(ticket) || '');
+            const matches = [...text.matchAll(/[A-Za-z0-9]+/g)]
+                .filter(m => wanted.has(SearchIndex.stem(m[0].toLowerCase())));
+            if (matches.length === 0) continue;
+
+            const start = Math.max(0, matches[0].index - radius);
+            const end = Math.min(text.length, matches[0].index + matches[0][0].length + radius);
+            let html = '';
+            let cursor = start;
+            matches.filter(m => m.index >= start && m.index + m[0].length <= end).forEach(m => {
+                html += Utils.sanitizeHtml(text.slice(cursor, m.index)) + `<mark>${Utils.sanitizeHtml(m[0])}</mark>`;
+                cursor = m.index + m[0].length;
+            });
+            html += Utils.sanitizeHtml(text.slice(cursor, end));
+            return `<span class="text-muted">${label}:</span> ${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+        }
+        return '';
+    }
+}
+
+// Virtual List
+// Windowed list for large collections: only rows in (or near) the viewport exist in the DOM,
+// rows are keyed so an update re-renders just the rows whose markup changed, and a `total`
+// larger than the loaded items plus `loadRange` lets a paginated API fill the gaps on scroll.
+class VirtualList {
+    constructor(container, { rowHeight = 104, overscan = 6, getKey, renderRow, renderPlaceholder, emptyHtml = '' }) {
+        this.container = container;
+        this.rowHeight = rowHeight;
+        this.overscan = overscan;
+        this.getKey = getKey;
+        this.renderRow = renderRow;
+        this.renderPlaceholder = renderPlaceholder || (() => '<div class="tickets-list-item text-muted small">Loading…</div>');
+        this.emptyHtml = emptyHtml;
+
+        this.items = [];
+        this.total = 0;
+        this.loadRange = null;
+        this.pendingRange = null;
+        this.rows = new Map(); // key -> { element, html }
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'virtual-list-spacer';
+        this.container.replaceChildren(this.spacer);
+
+        this.frame = null;
+        this.container.addEventListener('scroll', () => {
+            if (this.frame) return;
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.render();
+            });
+        });
+    }
+
+    // `total` may exceed items.length when the rest still has to come from the server
+    setItems(items, { total = items.length, loadRange = null, rowHeight = this.rowHeight } = {}) {
+        if (rowHeight !== this.rowHeight) {
+            this.rowHeight = rowHeight;
+            this.rows.forEach(row => row.element.remove());
+            this.rows.clear();
+        }
+        this.items = items;
+        this.total = Math.max(total, items.length);
+        this.loadRange = loadRange;
+        this.render();
+    }
+
+    visibleRange() {
+        const viewport = this.container.clientHeight || 560;
+        const first = Math.floor(this.container.scrollTop / this.rowHeight);
+        const start = Math.max(0, first - this.overscan);
+        const end = Math.min(this.total, first + Math.ceil(viewport / this.rowHeight) + this.overscan);
+        return { start, end };
+    }
+
+    render() {
+        this.spacer.style.height = `${this.total * this.rowHeight}px`;
+
+        let empty = this.container.querySelector(':scope > .virtual-list-empty');
+        if (this.total === 0) {
+            if (!empty) {
+                empty = document.createElement('div');
+                empty.className = 'virtual-list-empty';
+                this.container.appendChild(empty);
+            }
+            empty.innerHTML = this.emptyHtml;
+        } else if (empty) {
+            empty.remove();
+        }
+
+        const { start, end } = this.visibleRange();
+        const visibleKeys = new Set();
+        let missing = null;
+
+        for (let index = start; index < end; index++) {
+            const item = this.items[index];
+            const key = item === undefined ? `placeholder-${index}` : this.getKey(item);
+            const html = item === undefined ? this.renderPlaceholder(index) : this.renderRow(item, index);
+            visibleKeys.add(key);
+
+            if (item === undefined) {
+                missing = missing || { start: index, end: index + 1 };
+                missing.end = index + 1;
+            }
+
+            let row = this.rows.get(key);
+            if (!row) {
+                const element = document.createElement('div');
+                element.className = 'virtual-row';
+                element.style.height = `${this.rowHeight}px`;
+                element.dataset.key = key;
+                this.container.appendChild(element);
+                row = { element, html: null };
+                this.rows.set(key, row);
+            }
+            if (row.html !== html) {
+                row.element.innerHTML = html;
+                row.html = html;
+            }
+            row.element.style.transform = `translateY(${index * this.rowHeight}px)`;
+        }
+
+        this.rows.forEach((row, key) => {
+            if (!visibleKeys.has(key)) {
+                row.element.remove();
+                this.rows.delete(key);
+            }
+        });
+
+        if (missing && this.loadRange) {
+            this.requestRange(missing);
+        }
+    }
+
+    // One outstanding load at a time; re-render once the page lands
+    requestRange(range) {
+        if (this.pendingRange) return;
+        this.pendingRange = range;
+        Promise.resolve(this.loadRange(range.start, range.end))
+            .catch(error => console.error('Failed to load list page:', error))
+            .finally(() => {
+                this.pendingRange = null;
+            });
+    }
+
+    scrollToKey(key) {
+        const index = this.items.findIndex(item => item !== undefined && this.getKey(item) === key);
+        if (index === -1) return;
+
+        const top = index * this.rowHeight;
+        const viewport = this.container.clientHeight || 560;
+        if (top < this.container.scrollTop || top + this.rowHeight > this.container.scrollTop + viewport) {
+            this.container.scrollTop = top;
+            this.render();
+        }
+    }
+}
+
+// Ticket History
+// Keeps frozen snapshots of every edited ticket so edits can be undone, redone and shown as
+// field-level diffs. History lives in memory for the session; the audit log is the durable record.
+class TicketHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.entries = new Map(); // ticketId -> { versions, undo, redo }
+    }
+
+    // Fields that are bookkeeping rather than edits
+    static ignoredPaths = ['audit', 'version', 'schemaVersion'];
+
+    static freeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(child => TicketHistory.freeze(child));
+            Object.freeze(value);
+        }
+        return value;
+    }
+
+    entry(ticketId) {
+        if (!this.entries.has(ticketId)) {
+            this.entries.set(ticketId, { versions: [], undo: [], redo: [] });
+        }
+        return this.entries.get(ticketId);
+    }
+
+    snapshot(ticket, who, at = new Date().toISOString()) {
+        return { ticket: TicketHistory.freeze(structuredClone(ticket)), who, at };
+    }
+
+    // Called with the ticket before and after an edit; edits that change nothing are dropped.
+    // `group` ({ id, ticketIds }) ties together the steps of one edit that spans several tickets.
+    record(previous, next, who, group = null) {
+        const changes = TicketHistory.diff(previous, next);
+        if (changes.length === 0) return;
+
+        const entry = this.entry(next.id);
+        if (entry.versions.length === 0) {
+            entry.versions.push(this.snapshot(previous, null, previous.createdAt));
+        }
+        entry.versions.push(this.snapshot(next, who));
+        entry.undo.push({ ...this.snapshot(previous, who), group });
+        entry.redo = [];
+
+        if (entry.undo.length > this.limit) entry.undo.shift();
+        if (entry.versions.length > this.limit + 1) entry.versions.shift();
+    }
+
+    undo(current, who) {
+        return this.step(current, who, 'undo', 'redo');
+    }
+
+    redo(current, who) {
+        return this.step(current, who, 'redo', 'undo');
+    }
+
+    step(current, who, from, to) {
+        const entry = this.entries.get(current.id);
+        const target = entry?.[from].pop();
+        if (!target) return null;
+
+        entry[to].push({ ...this.snapshot(current, who), group: target.group });
+        entry.versions.push(this.snapshot(target.ticket, who));
+        if (entry.versions.length > this.limit + 1) entry.versions.shift();
+        return { snapshot: target.ticket, changes: TicketHistory.diff(current, target.ticket) };
+    }
+
+    peek(ticketId, direction) {
+        return this.entries.get(ticketId)?.[direction].at(-1)?.ticket || null;
+    }
+
+    groupOf(ticketId, direction) {
+        return this.entries.get(ticketId)?.[direction].at(-1)?.group || null;
+    }
+
+    canUndo(ticketId) {
+        return (this.entries.get(ticketId)?.undo.length || 0) > 0;
+    }
+
+    canRedo(ticketId) {
+        return (this.entries.get(ticketId)?.redo.length || 0) > 0;
+    }
+
+    clearStacks(ticketId) {
+        const entry = this.entries.get(ticketId);
+        if (entry) {
+            entry.undo = [];
+            entry.redo = [];
+        }
+    }
+
+    // Newest first: { at, who, changes } for each pair of consecutive versions
+    changes(ticketId) {
+        const versions = this.entries.get(ticketId)?.versions || [];
+        const log = [];
+        for (let i = versions.length - 1; i > 0; i--) {
+            log.push({
+                at: versions[i].at,
+                who: versions[i].who,
+                changes: TicketHistory.diff(versions[i - 1].ticket, versions[i].ticket)
+            });
+        }
+        return log;
+    }
+
+    // Flattens both tickets to dotted paths and lists the leaves that differ. Arrays are compared
+    // whole, with evidence items shown by name.
+    static diff(previous, next) {
+        const flatten = (value, prefix, out) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([key, child]) => {
+                    const path = prefix ? `${prefix}.${key}` : key;
+                    if (!TicketHistory.ignoredPaths.includes(path)) flatten(child, path, out);
+                });
+            } else if (value !== undefined) {
+                out[prefix] = value;
+            }
+            return out;
+        };
+
+        const before = flatten(previous, '', {});
+        const after = flatten(next, '', {});
+        const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const same = (a, b) => JSON.stringify(a === '' ? undefined : a) === JSON.stringify(b === '' ? undefined : b);
+
+        return Array.from(paths)
+            .filter(path => !same(before[path], after[path]))
+            .map(path => ({ path, from: before[path], to: after[path] }));
+    }
+
+    static formatValue(value) {
+        if (value === undefined || value === '') return '—';
+        if (Array.isArray(value)) {
+            return value.length
+                ? value.map(item => typeof item === 'object' ? (item.name || item.id) : item).join(', ')
+                : '—';
+        }
+        return String(value);
+    }
+
+    // "claimAmount 120 → 450"
+    static describe(change) {
+        const field = change.path.split('.').pop();
+        return `${field} ${TicketHistory.formatValue(change.from)} → ${TicketHistory.formatValue(change.to)}`;
+    }
+}
+
+// Audit Trail
+// Structured audit events: { at, actor, type, path, from, to, reason, action, prevHash, hash }.
+// `action` is the human-readable summary; `path`/`from`/`to` are set for data changes. Each entry's
+// hash covers its content and the previous entry's hash, so editing or removing an earlier entry
+// breaks every hash after it.
+const AuditTrail = {
+    types: {
+        'ticket.created': 'Ticket created',
+        'ticket.imported': 'Ticket imported',
+        'ticket.assigned': 'Assignment',
+        'ticket.linked': 'Link',
+        'ticket.merged': 'Merge',
+        'ticket.renumbered': 'Renumbered',
+        'duplicate.suspected': 'Possible duplicate',
+        'status.changed': 'Status change',
+        'outcome.updated': 'Outcome',
+        'evidence.added': 'Evidence',
+        'field.changed': 'Field change',
+        'sla.breached': 'SLA breach',
+        'payout.item': 'Payout quote',
+        'payout.status': 'Payout',
+        'history.undo': 'Undo',
+        'history.redo': 'Redo',
+        'note': 'Note'
+    },
+
+    GENESIS_HASH: '0'.repeat(64),
+
+    hashedFields: ['at', 'actor', 'type', 'path', 'from', 'to', 'reason', 'action', 'prevHash'],
+
+    event(type, { at = new Date().toISOString(), actor, path, from, to, reason, action } = {}) {
+        return { at, actor, type, path, from, to, reason, action };
+    },
+
+    // Maps the pre-v3 { at, who, action } entries onto event types by their wording
+    fromLegacy({ at, who, action = '' }) {
+        const status = action.match(/^Status changed to (.+)$/);
+        const patterns = [
+            [/^Ticket created/, 'ticket.created'],
+            [/^Ticket imported/, 'ticket.imported'],
+            [/^Outcome updated/, 'outcome.updated'],
+            [/^Added /, 'evidence.added'],
+            [/^SLA breached/, 'sla.breached']
+        ];
+        const type = status ? 'status.changed' : (patterns.find(([pattern]) => pattern.test(action))?.[1] || 'note');
+
+        return this.event(type, {
+            at,
+            actor: who || 'system',
+            path: status ? 'status' : undefined,
+            to: status ? status[1] : undefined,
+            action
+        });
+    },
+
+    // Adds a field.changed event for every changed field the edit's own events don't already
+    // describe, then stamps and seals the new entries
+    record(previous, next, { actor, reason } = {}) {
+        const pending = next.audit.filter(entry => !entry.hash);
+        const described = new Set(pending.map(entry => entry.path).filter(Boolean));
+
+        TicketHistory.diff(previous, next)
+            .filter(change => !described.has(change.path))
+            .forEach(change => {
+                next.audit.push(this.event('field.changed', {
+                    ...change,
+                    action: `${change.path}: ${TicketHistory.formatValue(change.from)} → ${TicketHistory.formatValue(change.to)}`
+                }));
+            });
+
+        next.audit.forEach(entry => {
+            if (!entry.hash && reason !== undefined && entry.reason === undefined) entry.reason = reason;
+        });
+        return this.seal(next.audit, actor);
+    },
+
+    // Hashes the unsealed tail of the log in place; entries without an actor get `actor`
+    seal(audit, actor = 'system') {
+        let prevHash = this.GENESIS_HASH;
+        audit.forEach(entry => {
+            if (!entry.hash) {
+                entry.actor = entry.actor || actor;
+                entry.prevHash = prevHash;
+                entry.hash = this.hashEntry(entry);
+            }
+            prevHash = entry.hash;
+        });
+        return audit;
+    },
+
+    hashEntry(entry) {
+        return this.sha256(JSON.stringify(this.hashedFields.map(field => entry[field] ?? null)));
+    },
+
+    // { valid: true } or { valid: false, index } for the first entry whose hash or link is wrong
+    verify(audit = []) {
+        let prevHash = this.GENESIS_HASH;
+        for (let index = 0; index < audit.length; index++) {
+            const entry = audit[index];
+            if (entry.prevHash !== prevHash || entry.hash !== this.hashEntry(entry)) {
+                return { valid: false, index };
+            }
+            prevHash = entry.hash;
+        }
+        return { valid: true };
+    },
+
+    // Synchronous SHA-256 (hex), so entries can be sealed inside the synchronous state update
+    sha256(text) {
+        if (!this.constants) {
+            const primes = [];
+            for (let n = 2; primes.length < 64; n++) {
+                if (primes.every(p => n % p !== 0)) primes.push(n);
+            }
+            const fraction = (x) => ((x - Math.floor(x)) * 0x100000000) >>> 0;
+            this.constants = {
+                initial: primes.slice(0, 8).map(p => fraction(Math.sqrt(p))),
+                rounds: primes.map(p => fraction(Math.cbrt(p)))
+            };
+        }
+
+        const { initial, rounds } = this.constants;
+        const bytes = new TextEncoder().encode(text);
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const words = new Uint32Array(64);
+        let hash = [...initial];
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                words[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(words[i - 15], 7) ^ rotr(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+                const s1 = rotr(words[i - 2], 17) ^ rotr(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+                words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + rounds[i] + words[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+            hash = hash.map((value, i) => (value + [a, b, c, d, e, f, g, h][i]) >>> 0);
+        }
+
+        return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+    },
+
+    // Filters by event type and free text over actor, field path and summary
+    filter(audit = [], { type = '', text = '' } = {}) {
+        const needle = text.trim().toLowerCase();
+        return audit
+            .map((entry, index) => ({ entry, index }))
+            .filter(({ entry }) => !type || entry.type === type)
+            .filter(({ entry }) => !needle || [entry.actor, entry.path, entry.action, entry.reason]
+                .some(value => value && String(value).toLowerCase().includes(needle)));
+    }
+};
+
+// Access Control
+// Roles map to permissions; ticket edits are checked field by field against them.
+const AccessControl = {
+    roles: {
+        'read-only': {
+            label: 'Read-only',
+            permissions: ['desk.view', 'reports.view']
+        },
+        agent: {
+            label: 'Agent',
+            permissions: ['desk.view', 'reports.view', 'ticket.edit', 'ticket.status', 'outcome.decide', 'repair.edit', 'tickets.import',
+                'ticket.assign', 'tickets.receive', 'payout.edit']
+        },
+        finance: {
+            label: 'Finance',
+            permissions: ['desk.view', 'reports.view', 'repair.edit', 'payout.edit', 'payout.approve', 'payout.pay']
+        },
+        supervisor: {
+            label: 'Supervisor',
+            permissions: ['desk.view', 'reports.view', 'ticket.edit', 'ticket.status', 'outcome.decide', 'repair.edit',
+                'tickets.import', 'outcome.liability', 'outcome.falseClaim', 'claim.approveLarge', 'settings.edit',
+                'ticket.assign', 'ticket.reassign', 'payout.edit', 'payout.approve']
+        }
+    },
+
+    // Payouts above this need 'claim.approveLarge' to be approved
+    approvalThreshold: 500,
+
+    // First matching path prefix wins; '' covers every other ticket field
+    fieldPermissions: [
+        ['admin.outcome.liabilityAccepted', 'outcome.liability'],
+        ['admin.outcome.falseClaimFlag', 'outcome.falseClaim'],
+        ['admin.outcome', 'outcome.decide'],
+        ['admin.repair.claimAmount', 'payout.edit'],
+        ['admin.repair', 'repair.edit'],
+        ['admin.payout', 'payout.edit'],
+        ['status', 'ticket.status'],
+        ['assignee', 'ticket.assign'],
+        ['', 'ticket.edit']
+    ],
+
+    tabPermissions: {
+        desk: 'desk.view',
+        reports: 'reports.view',
+        settings: 'settings.edit'
+    },
+
+    isActive(session, now = Date.now()) {
+        return Boolean(session) && new Date(session.expiresAt).getTime() > now;
+    },
+
+    can(session, permission) {
+        return this.isActive(session) && (this.roles[session.role]?.permissions || []).includes(permission);
+    },
+
+    canViewTab(session, tab) {
+        const permission = this.tabPermissions[tab];
+        return !permission || this.can(session, permission);
+    },
+
+    permissionFor(path) {
+        return this.fieldPermissions.find(([prefix]) => prefix === '' || path === prefix || path.startsWith(`${prefix}.`))[1];
+    },
+
+    // Reasons the session may not turn `previous` into `next`; empty when allowed
+    deniedChanges(session, previous, next) {
+        if (!this.isActive(session)) {
+            return ['Your session has expired; sign in again'];
+        }
+
+        const role = this.roles[session.role]?.label || session.role;
+        const reasons = new Set();
+        TicketHistory.diff(previous, next).forEach(change => {
+            if (!this.can(session, this.permissionFor(change.path))) {
+                reasons.add(`${role} cannot change ${change.path}`);
+            }
+        });
+
+        // Taking over someone else's ticket is a supervisor decision
+        if (previous.assignee && next.assignee !== previous.assignee && previous.assignee !== session.userId &&
+            !this.can(session, 'ticket.reassign')) {
+            reasons.add('Only supervisors can reassign a ticket owned by someone else');
+        }
+
+        Payout.deniedChanges(session, previous, next).forEach(reason => reasons.add(reason));
+        return Array.from(reasons);
+    }
+};
+
+class AuthenticationError extends Error {
+    constructor(message = 'Unknown user or wrong password') {
+        super(message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+// Local stand-in for the company identity provider. A real provider exposes the same
+// signIn/signOut pair and returns the same session shape.
+class MockIdentityProvider {
+    static users = [
+        { id: 'u-agent', username: 'agent', name: 'Alex Agent', role: 'agent' },
+        { id: 'u-supervisor', username: 'supervisor', name: 'Sam Supervisor', role: 'supervisor' },
+        { id: 'u-finance', username: 'finance', name: 'Fran Finance', role: 'finance' },
+        { id: 'u-viewer', username: 'viewer', name: 'Val Viewer', role: 'read-only' }
+    ];
+
+    constructor({ users = MockIdentityProvider.users, password = 'demo', sessionHours = 8 } = {}) {
+        this.users = users;
+        this.password = password;
+        this.sessionHours = sessionHours;
+    }
+
+    async signIn(username, password) {
+        const user = this.users.find(u => u.username === username.trim().toLowerCase());
+        if (!user || password !== this.password) {
+            throw new AuthenticationError();
+        }
+
+        const issuedAt = new Date();
+        return {
+            userId: user.id,
+            name: user.name,
+            role: user.role,
+            issuedAt: issuedAt.toISOString(),
+            expiresAt: new Date(issuedAt.getTime() + this.sessionHours * 3600000).toISOString()
+        };
+    }
+
+    async signOut() {}
+
+    async listUsers() {
+        return this.users.map(({ id, username, name, role }) => ({ id, username, name, role }));
+    }
+}
+
+// Assignment
+// Ticket ownership: who may receive tickets, how new tickets are shared out, and workload per person.
+const Assignment = {
+    strategies: {
+        off: 'Manual only',
+        'round-robin': 'Round robin',
+        'least-loaded': 'Least loaded'
+    },
+
+    defaultSettings() {
+        return { strategy: 'least-loaded', lastAssigneeId: null };
+    },
+
+    isOpen(ticket) {
+        return !['Resolved', 'Rejected'].includes(ticket.status);
+    },
+
+    // Users whose role takes new tickets from the queue, in directory order
+    pool(users) {
+        return users.filter(user => AccessControl.roles[user.role]?.permissions.includes('tickets.receive'));
+    },
+
+    userName(userId, users) {
+        return users.find(user => user.id === userId)?.name || userId;
+    },
+
+    event(from, to, users) {
+        return AuditTrail.event('ticket.assigned', {
+            path: 'assignee',
+            from,
+            to,
+            action: to
+                ? `${from ? 'Reassigned' : 'Assigned'} to ${this.userName(to, users)}`
+                : `Unassigned from ${this.userName(from, users)}`
+        });
+    },
+
+    pick(settings, tickets, users) {
+        const pool = this.pool(users);
+        if (pool.length === 0 || settings.strategy === 'off') return null;
+
+        if (settings.strategy === 'round-robin') {
+            const last = pool.findIndex(user => user.id === settings.lastAssigneeId);
+            return pool[(last + 1) % pool.length];
+        }
+
+        // Least loaded: fewest open tickets, ties go to the first in the directory
+        const open = this.openCounts(tickets);
+        return pool.reduce((best, user) => (open.get(user.id) || 0) < (open.get(best.id) || 0) ? user : best);
+    },
+
+    openCounts(tickets) {
+        const counts = new Map();
+        tickets.filter(ticket => this.isOpen(ticket) && ticket.assignee).forEach(ticket => {
+            counts.set(ticket.assignee, (counts.get(ticket.assignee) || 0) + 1);
+        });
+        return counts;
+    },
+
+    // One row per person who can own tickets or already does, plus an unassigned row
+    workload(tickets, users, { slaSettings, now = Date.now() } = {}) {
+        const owners = users.filter(user => AccessControl.roles[user.role]?.permissions.includes('ticket.assign') ||
+            tickets.some(ticket => ticket.assignee === user.id));
+        const row = (id, name, owned) => {
+            const open = owned.filter(ticket => this.isOpen(ticket));
+            return {
+                id,
+                name,
+                open: open.length,
+                breached: open.filter(ticket => SlaPolicy.evaluate(ticket, slaSettings, now)?.state === 'breached').length,
+                resolved: owned.filter(ticket => ticket.status === 'Resolved').length,
+                total: owned.length
+            };
+        };
+
+        const ownerIds = new Set(owners.map(user => user.id));
+        return [
+            ...owners.map(user => row(user.id, user.name, tickets.filter(ticket => ticket.assignee === user.id))),
+            row(null, 'Unassigned', tickets.filter(ticket => !ticket.assignee || !ownerIds.has(ticket.assignee)))
+        ];
+    }
+};
+
+// Payout
+// Itemised repair quotes split into liability and goodwill, moving pending → approved → paid,
+// with paid payouts able to be clawed back. The quote total is mirrored into admin.repair.claimAmount
+// so searches, sorting and exports keep working off one number.
+const Payout = {
+    statuses: {
+        pending: 'Pending approval',
+        approved: 'Approved',
+        paid: 'Paid',
+        'clawed-back': 'Clawed back'
+    },
+
+    transitions: {
+        pending: ['approved'],
+        approved: ['paid', 'pending'],
+        paid: ['clawed-back'],
+        'clawed-back': []
+    },
+
+    bases: {
+        liability: 'Liability',
+        goodwill: 'Goodwill'
+    },
+
+    badgeClasses: {
+        pending: 'bg-warning text-dark',
+        approved: 'bg-info text-dark',
+        paid: 'bg-success',
+        'clawed-back': 'bg-danger'
+    },
+
+    empty() {
+        return { items: [], status: 'pending' };
+    },
+
+    fromClaimAmount(amount, liabilityAccepted = false) {
+        const payout = this.empty();
+        if (amount > 0) {
+            payout.items.push({ id: 'claim', description: 'Claim amount', basis: liabilityAccepted ? 'liability' : 'goodwill', amount });
+        }
+        return payout;
+    },
+
+    // Summed in pence to keep pounds exact
+    totals(payout = this.empty()) {
+        const pence = { liability: 0, goodwill: 0 };
+        payout.items.forEach(item => {
+            pence[item.basis] += Math.round(item.amount * 100);
+        });
+        return {
+            liability: pence.liability / 100,
+            goodwill: pence.goodwill / 100,
+            total: (pence.liability + pence.goodwill) / 100
+        };
+    },
+
+    syncClaimAmount(ticket) {
+        const { total } = this.totals(ticket.admin.payout);
+        ticket.admin.repair = { ...ticket.admin.repair, claimAmount: total || undefined };
+    },
+
+    addItem(ticket, { description, basis, amount }) {
+        const item = { id: Math.random().toString(36).substr(2, 8), description, basis, amount };
+        ticket.admin.payout = ticket.admin.payout || this.empty();
+        ticket.admin.payout.items.push(item);
+        this.syncClaimAmount(ticket);
+        ticket.audit.push(AuditTrail.event('payout.item', {
+            path: 'admin.payout.items',
+            to: `${description} ${Utils.formatMoney(amount)}`,
+            action: `Quote item added: ${description} (${this.bases[basis]}) ${Utils.formatMoney(amount)}`
+        }));
+        return ticket;
+    },
+
+    removeItem(ticket, itemId) {
+        const item = ticket.admin.payout.items.find(i => i.id === itemId);
+        if (!item) return ticket;
+
+        ticket.admin.payout.items = ticket.admin.payout.items.filter(i => i.id !== itemId);
+        this.syncClaimAmount(ticket);
+        ticket.audit.push(AuditTrail.event('payout.item', {
+            path: 'admin.payout.items',
+            from: `${item.description} ${Utils.formatMoney(item.amount)}`,
+            action: `Quote item removed: ${item.description} ${Utils.formatMoney(item.amount)}`
+        }));
+        return ticket;
+    },
+
+    // Workflow rules only; who may make the move is checked by permissionReasons
+    check(ticket, to) {
+        const payout = ticket.admin.payout || this.empty();
+        const reasons = [];
+        if (!(this.transitions[payout.status] || []).includes(to)) {
+            reasons.push(`A ${this.statuses[payout.status].toLowerCase()} payout cannot move to ${this.statuses[to].toLowerCase()}`);
+        }
+        if (to === 'approved' && this.totals(payout).total <= 0) {
+            reasons.push('Add quote items before approving');
+        }
+        return { allowed: reasons.length === 0, reasons };
+    },
+
+    permissionReasons(session, ticket, to) {
+        const reasons = [];
+        const permission = to === 'paid' || to === 'clawed-back' ? 'payout.pay' : 'payout.approve';
+        if (!AccessControl.can(session, permission)) {
+            reasons.push(`${AccessControl.roles[session?.role]?.label || 'You'} cannot mark payouts ${this.statuses[to].toLowerCase()}`);
+        }
+        const total = this.totals(ticket.admin.payout).total;
+        if (to === 'approved' && total > AccessControl.approvalThreshold && !AccessControl.can(session, 'claim.approveLarge')) {
+            reasons.push(`Payouts over ${Utils.formatMoney(AccessControl.approvalThreshold)} need supervisor sign-off`);
+        }
+        return reasons;
+    },
+
+    deniedChanges(session, previous, next) {
+        const before = previous.admin?.payout || this.empty();
+        const after = next.admin?.payout;
+        if (!after) return [];
+
+        const reasons = [];
+        if (JSON.stringify(before.items) !== JSON.stringify(after.items) && before.status !== 'pending') {
+            reasons.push('Quote items are locked once the payout is approved; reopen it first');
+        }
+        if (after.status !== before.status) {
+            reasons.push(...this.check(previous, after.status).reasons, ...this.permissionReasons(session, previous, after.status));
+        }
+        return reasons;
+    },
+
+    transition(ticket, to, { by, reference } = {}) {
+        const payout = ticket.admin.payout;
+        const from = payout.status;
+        const at = new Date().toISOString();
+        payout.status = to;
+
+        if (to === 'approved') {
+            payout.approvedBy = by;
+            payout.approvedAt = at;
+        } else if (to === 'pending') {
+            delete payout.approvedBy;
+            delete payout.approvedAt;
+        } else if (to === 'paid') {
+            payout.paidAt = at;
+            payout.paymentReference = reference;
+        } else if (to === 'clawed-back') {
+            payout.clawedBackAt = at;
+        }
+
+        ticket.audit.push(AuditTrail.event('payout.status', {
+            path: 'admin.payout.status',
+            from,
+            to,
+            action: `Payout ${this.statuses[to].toLowerCase()}: ${Utils.formatMoney(this.totals(payout).total)}` +
+                (reference ? ` (ref ${reference})` : '')
+        }));
+        return ticket;
+    },
+
+    // Money per payout status, and the liability/goodwill split of what has actually been paid
+    summary(tickets) {
+        const byStatus = Object.fromEntries(Object.keys(this.statuses).map(status => [status, { count: 0, amount: 0 }]));
+        const paid = { liability: 0, goodwill: 0 };
+
+        tickets.forEach(ticket => {
+            const payout = ticket.admin.payout;
+            if (!payout || payout.items.length === 0) return;
+
+            const totals = this.totals(payout);
+            byStatus[payout.status].count += 1;
+            byStatus[payout.status].amount = Math.round((byStatus[payout.status].amount + totals.total) * 100) / 100;
+            if (payout.status === 'paid') {
+                paid.liability = Math.round((paid.liability + totals.liability) * 100) / 100;
+                paid.goodwill = Math.round((paid.goodwill + totals.goodwill) * 100) / 100;
+            }
+        });
+        return { byStatus, paid };
+    }
+};
+
+// Repairer Directory
+// Managed repairers with the services they offer, the postcode areas they cover, which weekdays
+// they work and how many jobs they take per day. Each booking takes one of the standard windows.
+const RepairerDirectory = {
+    services: ['Dent', 'Scratch', 'Wheel curb', 'Mechanical', 'Other'],
+
+    windows: ['08:00-10:00', '10:00-12:00', '13:00-15:00', '15:00-17:00'],
+
+    weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    defaults() {
+        return [
+            {
+                id: 'r-smart', name: 'SmartRepair Heathrow', services: ['Dent', 'Scratch'],
+                coverage: ['TW6', 'TW14', 'TW19', 'UB7'], capacityPerDay: 3, workingDays: [1, 2, 3, 4, 5],
+                phone: '+441632960101', email: 'bookings@smartrepair.example'
+            },
+            {
+                id: 'r-wheels', name: 'Alloy Wheel Doctor', services: ['Wheel curb'],
+                coverage: ['TW', 'UB', 'SL'], capacityPerDay: 4, workingDays: [1, 2, 3, 4, 5, 6],
+                phone: '+441632960102', email: 'jobs@wheeldoctor.example'
+            },
+            {
+                id: 'r-bayroad', name: 'Bay Road Bodyshop', services: ['Dent', 'Scratch', 'Mechanical', 'Other'],
+                coverage: [], capacityPerDay: 2, workingDays: [1, 2, 3, 4, 5],
+                phone: '+441632960103', email: 'workshop@bayroad.example'
+            }
+        ];
+    },
+
+    find(repairers, id) {
+        return repairers.find(repairer => repairer.id === id) || null;
+    },
+
+    // Outward code of the last UK postcode in an address ("10 Bay Rd, TW6 2GA" → "TW6")
+    postcodeArea(address = '') {
+        const matches = [...address.toUpperCase().matchAll(/\b([A-Z]{1,2}\d[A-Z\d]?)(?:\s*\d[A-Z]{2})?\b/g)];
+        return matches.length ? matches[matches.length - 1][1] : null;
+    },
+
+    // Coverage entries are outward codes ("TW6") or whole areas ("TW"); no entries means anywhere
+    covers(repairer, ticket) {
+        const outward = this.postcodeArea(ticket.customer?.address);
+        if (repairer.coverage.length === 0 || !outward) return true;
+
+        const area = outward.match(/^[A-Z]+/)[0];
+        return repairer.coverage.some(entry => entry === outward || entry === area);
+    },
+
+    // Soft problems: shown to the agent but they do not block the booking
+    warnings(repairer, ticket) {
+        const warnings = [];
+        const missing = (ticket.complaint?.damageTypes || []).filter(type => !repairer.services.includes(type));
+        if (missing.length > 0) {
+            warnings.push(`${repairer.name} does not handle ${missing.join(', ')}`);
+        }
+        if (!this.covers(repairer, ticket)) {
+            warnings.push(`${repairer.name} does not cover ${this.postcodeArea(ticket.customer.address)}`);
+        }
+        return warnings;
+    },
+
+    weekday(date) {
+        return new Date(`${date}T00:00:00`).getDay();
+    },
+
+    // Other live tickets booked with this repairer on this date
+    bookings(tickets, repairerId, date, ticketId) {
+        return tickets.filter(ticket =>
+            ticket.id !== ticketId &&
+            ticket.status !== 'Rejected' &&
+            ticket.admin.repair?.repairerId === repairerId &&
+            ticket.admin.repair?.scheduledDate === date);
+    },
+
+    // Every standard window for the day, with why it is not free
+    slots(repairer, date, tickets, ticketId) {
+        const booked = this.bookings(tickets, repairer.id, date, ticketId);
+        const working = repairer.workingDays.includes(this.weekday(date));
+        const full = booked.length >= repairer.capacityPerDay;
+
+        return this.windows.map(window => {
+            const clash = booked.find(ticket => ticket.admin.repair.scheduledWindow === window);
+            let reason = null;
+            if (!working) reason = `${repairer.name} does not work ${this.weekdays[this.weekday(date)]}s`;
+            else if (clash) reason = `Booked for ${clash.id}`;
+            else if (full) reason = `${repairer.name} is fully booked that day`;
+            return { window, free: !reason, reason };
+        });
+    },
+
+    // Hard clashes for a repair booking: 'day' when the date is unavailable, 'window' when the slot is taken
+    conflicts(repairer, repair, tickets, ticketId) {
+        if (!repairer || !repair.scheduledDate) return [];
+
+        const slots = this.slots(repairer, repair.scheduledDate, tickets, ticketId);
+        if (slots.every(slot => !slot.free)) {
+            const reason = slots.find(slot => slot.reason.includes('does not work') || slot.reason.includes('fully booked'))?.reason;
+            if (reason) return [{ kind: 'day', message: reason }];
+        }
+
+        const slot = slots.find(s => s.window === repair.scheduledWindow);
+        return slot && !slot.free ? [{ kind: 'window', message: `${repair.scheduledWindow}: ${slot.reason}` }] : [];
+    }
+};
+
+// ICS Calendar Files
+// Minimal RFC 5545 events. Times are floating local times, as entered on the desk.
+const Ics = {
+    escape(text = '') {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    },
+
+    // Parameter values (CN=...) take no backslash escapes: they are quoted, and may not contain quotes or line breaks
+    param(value = '') {
+        return `"${String(value).replace(/"/g, '').replace(/[\r\n]+/g, ' ')}"`;
+    },
+
+    // Lines longer than 75 octets continue on the next line after a space
+    fold(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        for (const char of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (new TextEncoder().encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    localTime(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    },
+
+    utcStamp(date = new Date()) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    build({ uid, start, end, summary, description, location, attendees = [] }) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Star Parking//Complaints Desk//EN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${this.utcStamp()}`,
+            `DTSTART:${start}`,
+            `DTEND:${end}`,
+            `SUMMARY:${this.escape(summary)}`,
+            `DESCRIPTION:${this.escape(description)}`,
+            location ? `LOCATION:${this.escape(location)}` : null,
+            ...attendees.filter(a => a.email).map(a => `ATTENDEE;CN=${this.param(a.name)}:mailto:${a.email}`),
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+        return lines.filter(Boolean).map(line => this.fold(line)).join('\r\n') + '\r\n';
+    },
+
+    // The customer gets the repairer's contact details, the repairer gets the job details
+    forRepair(ticket, repairer, audience) {
+        const repair = ticket.admin.repair;
+        const [from, to] = repair.scheduledWindow.split('-');
+        const vehicle = ticket.booking?.reg || 'your vehicle';
+        const description = audience === 'customer'
+            ? [
+                `Repair of ${vehicle} by ${repairer.name}.`,
+                `Contact: ${repairer.phone || ''} ${repairer.email || ''}`.trim(),
+                `Reference: ${ticket.id}`
+            ].join('\n')
+            : [
+                `Ticket ${ticket.id}: ${(ticket.complaint.damageTypes || []).join(', ') || ticket.nature}`,
+                `Vehicle: ${ticket.booking?.reg || 'n/a'}`,
+                `Customer: ${ticket.customer.name} ${ticket.customer.phone || ''}`.trim(),
+                repair.parkingAvailable ? 'Parking available' : 'No parking confirmed',
+                repair.powerAvailable ? 'Power available' : 'No power confirmed',
+                ticket.admin.findings ? `Findings: ${ticket.admin.findings}` : null
+            ].filter(Boolean).join('\n');
+
+        return this.build({
+            uid: `${ticket.id}-repair@complaints-desk`,
+            start: this.localTime(repair.scheduledDate, from),
+            end: this.localTime(repair.scheduledDate, to),
+            summary: audience === 'customer' ? `Vehicle repair – ${repairer.name}` : `Repair ${ticket.id} – ${vehicle}`,
+            description,
+            location: ticket.customer.address,
+            attendees: [
+                { name: ticket.customer.name, email: ticket.customer.email },
+                { name: repairer.name, email: repairer.email }
+            ]
+        });
+    }
+};
+
+// Customer Status Page
+// What a customer may see and do for their own ticket. Access needs the ticket reference plus
+// either the email given on the complaint or the tracking token issued at submission; only the
+// token's hash is kept on the ticket.
+const CustomerPortal = {
+    // Desk statuses in customer wording
+    statusLabels: {
+        'New': 'Received',
+        'Triage': 'Being reviewed',
+        'Investigating': 'Under investigation',
+        'Awaiting Customer': 'Waiting for your reply',
+        'Repair Scheduled': 'Repair booked',
+        'Resolved': 'Resolved',
+        'Rejected': 'Closed'
+    },
+
+    closedStatuses: ['Resolved', 'Rejected'],
+
+    // How far ahead customers may book, and how many slots to offer
+    bookingDays: 14,
+    maxSlots: 12,
+
+    issueToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    hashToken(token) {
+        return AuditTrail.sha256(`tracking:${token}`);
+    },
+
+    grant(ticket, token) {
+        ticket.tracking = { tokenHash: this.hashToken(token), issuedAt: new Date().toISOString() };
+        return ticket;
+    },
+
+    trackingLink(ticketId, token) {
+        const params = new URLSearchParams({ track: ticketId, token });
+        return `${location.origin}${location.pathname}?${params}`;
+    },
+
+    verify(ticket, { email, token } = {}) {
+        if (!ticket) return false;
+        if (token && ticket.tracking?.tokenHash) {
+            return this.hashToken(token.trim()) === ticket.tracking.tokenHash;
+        }
+
+        const onFile = ticket.customer.email?.trim().toLowerCase();
+        return Boolean(email && onFile && email.trim().toLowerCase() === onFile);
+    },
+
+    statusLabel(status) {
+        return this.statusLabels[status] || status;
+    },
+
+    // Only submission, status changes and the customer's own evidence are public. Findings,
+    // outcomes, flags, notes and reasons never leave the desk.
+    timeline(ticket) {
+        const entries = [];
+        let lastLabel = null;
+
+        (ticket.audit || []).forEach(entry => {
+            if (entry.type === 'ticket.created' || entry.type === 'ticket.imported') {
+                entries.push({ at: entry.at, title: 'Complaint received' });
+            } else if (entry.type === 'status.changed') {
+                const label = this.statusLabel(entry.to);
+                if (label !== lastLabel) entries.push({ at: entry.at, title: label });
+                lastLabel = label;
+            } else if (entry.type === 'evidence.added' && entry.path?.startsWith('complaint.')) {
+                entries.push({ at: entry.at, title: 'Evidence added', detail: entry.to });
+            }
+        });
+        return entries;
+    },
+
+    canUpload(ticket) {
+        return !this.closedStatuses.includes(ticket.status);
+    },
+
+    // Customers book once liability is accepted; after the desk confirms (Repair Scheduled) changes go through the desk
+    canBook(ticket) {
+        return Boolean(ticket.admin.outcome?.liabilityAccepted) &&
+            !this.closedStatuses.includes(ticket.status) &&
+            ticket.status !== 'Repair Scheduled';
+    },
+
+    // All the status page may change: evidence lists it appends to, and the booking fields
+    evidencePaths: ['complaint.images', 'complaint.videos'],
+    bookingPaths: ['admin.repair.repairerId', 'admin.repair.repairer', 'admin.repair.scheduledDate', 'admin.repair.scheduledWindow'],
+
+    // Reasons a customer edit is refused; empty when it stays within what the page offers
+    deniedChanges(previous, next) {
+        const reasons = new Set();
+        TicketHistory.diff(previous, next).forEach(change => {
+            if (this.evidencePaths.includes(change.path)) {
+                const kept = change.from || [];
+                const appended = Array.isArray(change.to) &&
+                    JSON.stringify(change.to.slice(0, kept.length)) === JSON.stringify(kept);
+                if (!appended || !this.canUpload(previous)) reasons.add('Evidence can only be added to an open complaint');
+            } else if (this.bookingPaths.includes(change.path)) {
+                if (!this.canBook(previous)) reasons.add('This repair can no longer be booked online');
+            } else {
+                reasons.add(`Customers cannot change ${change.path}`);
+            }
+        });
+        return Array.from(reasons);
+    },
+
+    // The desk's chosen repairer, else the first one covering the job without warnings
+    repairerFor(ticket, repairers) {
+        return RepairerDirectory.find(repairers, ticket.admin.repair?.repairerId) ||
+            repairers.find(repairer => RepairerDirectory.warnings(repairer, ticket).length === 0) ||
+            null;
+    },
+
+    // Free windows from tomorrow on, as [{ date, window }]
+    slotOptions(ticket, repairers, tickets, from = new Date()) {
+        const repairer = this.repairerFor(ticket, repairers);
+        const options = [];
+        if (!repairer) return { repairer, options };
+
+        for (let day = 1; day <= this.bookingDays && options.length < this.maxSlots; day++) {
+            const date = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day);
+            const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            RepairerDirectory.slots(repairer, iso, tickets, ticket.id)
+                .filter(slot => slot.free)
+                .forEach(slot => options.push({ date: iso, window: slot.window }));
+        }
+        return { repairer, options: options.slice(0, this.maxSlots) };
+    },
+
+    // Everything the status page renders; nothing else of the ticket reaches the page
+    publicView(ticket, repairers) {
+        const repair = ticket.admin.repair || {};
+        const booked = repair.scheduledDate && repair.scheduledWindow;
+        return {
+            id: ticket.id,
+            createdAt: ticket.createdAt,
+            nature: ticket.nature,
+            status: this.statusLabel(ticket.status),
+            description: ticket.complaint.description,
+            evidenceCount: ticket.complaint.images.length + ticket.complaint.videos.length,
+            timeline: this.timeline(ticket),
+            repair: booked ? {
+                repairer: repair.repairer,
+                date: repair.scheduledDate,
+                window: repair.scheduledWindow,
+                contact: RepairerDirectory.find(repairers, repair.repairerId)?.phone || ''
+            } : null,
+            canUpload: this.canUpload(ticket),
+            canBook: this.canBook(ticket)
+        };
+    }
+};
+
+// Complaint Wizard
+// The portal form split into steps. Each step is a fieldset of #complaint-form; `when` leaves out
+// steps that do not apply to the nature of complaint chosen.
+const ComplaintWizard = {
+    steps: [
+        { id: 'contact', label: 'Contact' },
+        { id: 'booking', label: 'Booking' },
+        { id: 'incident', label: 'Incident' },
+        { id: 'damage', label: 'Damage & timing', when: (nature) => nature === 'Damage' },
+        { id: 'evidence', label: 'Evidence' },
+        { id: 'review', label: 'Review' }
+    ],
+
+    activeSteps(nature) {
+        return this.steps.filter(step => !step.when || step.when(nature));
+    },
+
+    // Errors for one step, keyed like Validation.validateForm
+    validateStep(stepId, element) {
+        const errors = Validation.validateForm(element);
+        if (stepId === 'damage' && !element.querySelector('#damage-types input:checked')) {
+            errors['damage-types'] = 'At least one damage type is required for damage complaints';
+        }
+        return errors;
+    },
+
+    // Field values keyed by element id; checkboxes and radios as booleans. Files are not captured.
+    capture(form) {
+        const fields = {};
+        form.querySelectorAll('input[id], select[id], textarea[id]').forEach(field => {
+            if (field.type === 'file') return;
+            fields[field.id] = field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value;
+        });
+        return fields;
+    },
+
+    restore(form, fields = {}) {
+        form.querySelectorAll('input[id], select[id], textarea[id]').forEach(field => {
+            if (field.type === 'file' || !(field.id in fields)) return;
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                field.checked = Boolean(fields[field.id]);
+            } else {
+                field.value = fields[field.id];
+            }
+        });
+    }
+};
+
+// Report Metrics
+// Trends, breakdowns and resolution times for the Reports tab. Opening and closing times are
+// read from the audit trail; ranges are whole local days, `from` and `to` inclusive.
+const ReportMetrics = {
+    closedStatuses: ['Resolved', 'Rejected'],
+
+    granularities: { day: 'Per day', week: 'Per week' },
+
+    dateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    // The last `days` days up to today
+    defaultRange(days = 30) {
+        const today = new Date();
+        return {
+            from: this.dateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1)),
+            to: this.dateKey(today),
+            granularity: days > 60 ? 'week' : 'day'
+        };
+    },
+
+    bounds({ from, to }) {
+        return [new Date(`${from}T00:00:00`).getTime(), new Date(`${to}T23:59:59.999`).getTime()];
+    },
+
+    inRange(time, range) {
+        if (!time) return false;
+        const [start, end] = this.bounds(range);
+        const ms = new Date(time).getTime();
+        return ms >= start && ms <= end;
+    },
+
+    // Weeks are keyed by their Monday
+    bucketKey(time, granularity) {
+        const date = new Date(time);
+        if (granularity === 'week') {
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        }
+        return this.dateKey(date);
+    },
+
+    openedAt(ticket) {
+        return ticket.createdAt || ticket.audit?.[0]?.at;
+    },
+
+    // When a closed ticket entered its current status; null for open tickets or unknown history
+    closedAt(ticket) {
+        if (!this.closedStatuses.includes(ticket.status)) return null;
+        const entry = [...(ticket.audit || [])].reverse()
+            .find(e => e.type === 'status.changed' && e.to === ticket.status);
+        return entry?.at || null;
+    },
+
+    // One row per bucket in the range, gaps included: [{ key, opened, closed }]
+    trend(tickets, range) {
+        const buckets = new Map();
+        const [start, end] = this.bounds(range);
+        for (let day = new Date(start); day.getTime() <= end; day.setDate(day.getDate() + 1)) {
+            const key = this.bucketKey(day, range.granularity);
+            if (!buckets.has(key)) buckets.set(key, { key, opened: 0, closed: 0 });
+        }
+
+        tickets.forEach(ticket => {
+            const opened = this.openedAt(ticket);
+            const closed = this.closedAt(ticket);
+            if (this.inRange(opened, range)) buckets.get(this.bucketKey(opened, range.granularity)).opened += 1;
+            if (this.inRange(closed, range)) buckets.get(this.bucketKey(closed, range.granularity)).closed += 1;
+        });
+        return [...buckets.values()];
+    },
+
+    // Counts by `getValue`, largest first; a getter may return several values (damage types)
+    breakdown(tickets, getValue) {
+        const counts = new Map();
+        tickets.forEach(ticket => {
+            [].concat(getValue(ticket)).forEach(value => {
+                const label = value || 'Not recorded';
+                counts.set(label, (counts.get(label) || 0) + 1);
+            });
+        });
+        return [...counts.entries()]
+            .map(([label, value]) => ({ label, value }))
+            .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+    },
+
+    breakdowns: {
+        nature: { label: 'Nature', get: (ticket) => ticket.nature },
+        damage: { label: 'Damage type', get: (ticket) => ticket.complaint.damageTypes?.length ? ticket.complaint.damageTypes : [] },
+        terminal: { label: 'Terminal', get: (ticket) => ticket.booking?.terminal },
+        driver: { label: 'Driver', get: (ticket) => ticket.booking?.driverName }
+    },
+
+    // Hours from opening to resolution for tickets resolved within the range
+    resolutionHours(tickets, range) {
+        return tickets
+            .filter(ticket => ticket.status === 'Resolved')
+            .map(ticket => ({ opened: this.openedAt(ticket), closed: this.closedAt(ticket) }))
+            .filter(({ opened, closed }) => opened && this.inRange(closed, range))
+            .map(({ opened, closed }) => (new Date(closed) - new Date(opened)) / 3600000);
+    },
+
+    // Nearest-rank percentile; null for no values
+    percentile(values, p) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    },
+
+    paidInRange(tickets, range) {
+        return tickets.reduce((sum, ticket) => {
+            const payout = ticket.admin.payout;
+            if (payout?.status !== 'paid' || !this.inRange(payout.paidAt, range)) return sum;
+            return Math.round((sum + Payout.totals(payout).total) * 100) / 100;
+        }, 0);
+    },
+
+    formatHours(hours) {
+        if (hours === null) return '—';
+        return hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours.toFixed(1)} h`;
+    },
+
+    summarise(tickets, range) {
+        const opened = tickets.filter(ticket => this.inRange(this.openedAt(ticket), range));
+        const hours = this.resolutionHours(tickets, range);
+        return {
+            trend: this.trend(tickets, range),
+            breakdowns: Object.fromEntries(Object.entries(this.breakdowns)
+                .map(([key, { get }]) => [key, this.breakdown(opened, get)])),
+            opened: opened.length,
+            medianHours: this.percentile(hours, 50),
+            p90Hours: this.percentile(hours, 90),
+            resolvedCount: hours.length,
+            paid: this.paidInRange(tickets, range)
+        };
+    }
+};
+
+// SVG Charts
+// Small inline charts returned as markup. They scale with their container; colours come from CSS.
+const Charts = {
+    // Grouped columns over time, e.g. opened vs closed per bucket
+    columns(rows, series, { width = 640, height = 180 } = {}) {
+        const pad = { top: 12, right: 8, bottom: 20, left: 28 };
+        const plotWidth = width - pad.left - pad.right;
+        const plotHeight = height - pad.top - pad.bottom;
+        const max = Math.max(1, ...rows.flatMap(row => series.map(s => row[s.key])));
+        const groupWidth = plotWidth / Math.max(1, rows.length);
+        const barWidth = Math.max(1, (groupWidth * 0.8) / series.length);
+        const labelEvery = Math.ceil(rows.length / 8);
+        const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+        const bars = rows.map((row, i) => {
+            const x = pad.left + i * groupWidth + groupWidth * 0.1;
+            const group = series.map((s, j) => `
+                <rect class="chart-${s.key}" x="${(x + j * barWidth).toFixed(1)}" y="${y(row[s.key]).toFixed(1)}"
+                      width="${barWidth.toFixed(1)}" height="${(pad.top + plotHeight - y(row[s.key])).toFixed(1)}">
+                    <title>${Utils.sanitizeHtml(row.key)} – ${s.label}: ${row[s.key]}</title>
+                </rect>
+            `).join('');
+            const label = i % labelEvery === 0
+                ? `<text class="chart-axis" x="${(x + (barWidth * series.length) / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${Utils.sanitizeHtml(row.key.slice(5))}</text>`
+                : '';
+            return group + label;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${series.map(s => s.label).join(' and ')} over time">
+                <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top}" y2="${pad.top}"></line>
+                <line class="chart-baseline" x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + plotHeight}" y2="${pad.top + plotHeight}"></line>
+                <text class="chart-axis" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${max}</text>
+                <text class="chart-axis" x="${pad.left - 4}" y="${pad.top + plotHeight}" text-anchor="end">0</text>
+                ${bars}
+            </svg>
+        `;
+    },
+
+    // Horizontal bars for a ranked breakdown; only the top `limit` rows are drawn
+    bars(rows, { width = 320, rowHeight = 22, limit = 8 } = {}) {
+        if (rows.length === 0) {
+            return '<p class="small text-muted mb-0">No tickets in this range</p>';
+        }
+
+        const shown = rows.slice(0, limit);
+        const labelWidth = 110;
+        const valueWidth = 32;
+        const max = Math.max(...shown.map(row => row.value));
+        const height = shown.length * rowHeight;
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+                ${shown.map((row, i) => {
+                    const barWidth = ((width - labelWidth - valueWidth) * row.value) / max;
+                    const top = i * rowHeight;
+                    const label = row.label.length > 16 ? `${row.label.slice(0, 15)}…` : row.label;
+                    return `
+                        <text class="chart-label" x="0" y="${top + rowHeight * 0.65}">${Utils.sanitizeHtml(label)}</text>
+                        <rect class="chart-bar" x="${labelWidth}" y="${top + 4}" width="${barWidth.toFixed(1)}" height="${rowHeight - 8}">
+                            <title>${Utils.sanitizeHtml(row.label)}: ${row.value}</title>
+                        </rect>
+                        <text class="chart-label" x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${top + rowHeight * 0.65}">${row.value}</text>
+                    `;
+                }).join('')}
+            </svg>
+            ${rows.length > limit ? `<div class="small text-muted">and ${rows.length - limit} more</div>` : ''}
+        `;
+    }
+};
+
+// Damage Hotspots
+// Ranks drivers and terminals by damage complaints filed in a date range, as a rate per 100
+// bookings handled when booking statistics are available, and flags drivers with repeated
+// damage complaints inside a rolling window.
+const Hotspots = {
+    dimensions: {
+        driver: { label: 'Driver', qualifier: 'driver', get: (ticket) => ticket.booking?.driverName },
+        terminal: { label: 'Terminal', qualifier: 'terminal', get: (ticket) => ticket.booking?.terminal }
+    },
+
+    defaultSettings() {
+        return { threshold: 3, windowDays: 30 };
+    },
+
+    normalise(name) {
+        return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    damageTickets(tickets) {
+        return tickets.filter(ticket => ticket.nature === 'Damage');
+    },
+
+    // [{ name, complaints, bookings, rate, ticketIds }], highest rate (or count) first.
+    // `handled` is the stats list for the dimension, or null when unavailable.
+    rank(tickets, dimension, range, handled = null) {
+        const groups = new Map();
+        this.damageTickets(tickets)
+            .filter(ticket => ReportMetrics.inRange(ticket.createdAt, range))
+            .forEach(ticket => {
+                const name = this.dimensions[dimension].get(ticket)?.trim();
+                if (!name) return;
+                const key = this.normalise(name);
+                if (!groups.has(key)) groups.set(key, { name, complaints: 0, ticketIds: [] });
+                const group = groups.get(key);
+                group.complaints += 1;
+                group.ticketIds.push(ticket.id);
+            });
+
+        const volumes = new Map((handled || []).map(entry => [this.normalise(entry.name), entry.bookings]));
+        return [...groups.entries()]
+            .map(([key, group]) => {
+                const bookings = volumes.get(key) ?? null;
+                return { ...group, bookings, rate: bookings ? (group.complaints / bookings) * 100 : null };
+            })
+            .sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1) || b.complaints - a.complaints || a.name.localeCompare(b.name));
+    },
+
+    // The rolling window in whole days, so an alert counts exactly the tickets its drill-down query shows
+    windowRange(settings, now = Date.now()) {
+        return { from: ReportMetrics.dateKey(now - settings.windowDays * 86400000), to: ReportMetrics.dateKey(now) };
+    },
+
+    windowStart(settings, now = Date.now()) {
+        return ReportMetrics.bounds(this.windowRange(settings, now))[0];
+    },
+
+    // Drivers at or over the threshold within the rolling window
+    repeatOffenders(tickets, settings, now = Date.now()) {
+        return this.rank(tickets, 'driver', this.windowRange(settings, now))
+            .filter(group => group.complaints >= settings.threshold);
+    },
+
+    // Damage complaints for one driver within the window, for the ticket details warning
+    driverCount(tickets, driverName, settings, now = Date.now()) {
+        const key = this.normalise(driverName);
+        if (!key) return 0;
+        const since = this.windowStart(settings, now);
+        return this.damageTickets(tickets).filter(ticket =>
+            this.normalise(ticket.booking?.driverName) === key &&
+            new Date(ticket.createdAt).getTime() >= since).length;
+    },
+
+    // Desk search showing the tickets behind a row. The name is matched whole, the way rank() groups it.
+    query(dimension, name, range) {
+        const value = `=${TicketQuery.quote(name)}`;
+        const created = range ? ` created:${range.from}..${range.to}` : '';
+        return `nature:Damage ${this.dimensions[dimension].qualifier}:${value}${created}`;
+    }
+};
+
+// False-claim Risk Scoring
+// Each rule returns a reason string when it fires; the score is the sum of the
+// weights of the rules that fired, capped at 100, so every point can be explained.
+const RiskScoring = {
+    rules: {
+        afterGround: {
+            label: 'Reported after leaving our ground',
+            evaluate: (ticket) => ticket.informedTiming === 'After leaving official ground'
+                ? 'Customer only raised the damage after leaving the official ground'
+                : null
+        },
+        lateIncident: {
+            label: 'Incident date after the vehicle was returned',
+            evaluate: (ticket) => {
+                const returnAt = ticket.booking?.returnAt;
+                const incidentDate = ticket.complaint.incidentDate;
+                if (!returnAt || !incidentDate) return null;
+                const returnDay = ReportMetrics.dateKey(returnAt);
+                return incidentDate > returnDay ? `Incident date ${incidentDate} is after the return on ${returnDay}` : null;
+            }
+        },
+        missingPhotos: {
+            label: 'Damage claim without photos',
+            evaluate: (ticket) => ticket.nature === 'Damage' && ticket.complaint.images.length === 0
+                ? 'No customer photos attached to a damage claim'
+                : null
+        },
+        exifAfterHandover: {
+            label: 'Photos taken after the vehicle was returned',
+            evaluate: (ticket) => {
+                const returnAt = ticket.booking?.returnAt ? new Date(ticket.booking.returnAt).getTime() : null;
+                if (returnAt === null) return null;
+                const late = ticket.complaint.images.filter(evidence => evidence.exif?.takenAt &&
+                    new Date(evidence.exif.takenAt).getTime() > returnAt + EvidenceChecks.returnGraceHours * 3600000);
+                return late.length
+                    ? `${late.length} photo${late.length === 1 ? '' : 's'} taken more than ${EvidenceChecks.returnGraceHours}h after the return`
+                    : null;
+            }
+        },
+        repeatClaimant: {
+            label: 'Repeat claimant',
+            evaluate: (ticket, tickets) => {
+                const matches = RiskScoring.previousClaims(ticket, tickets);
+                if (!matches.length) return null;
+                const fields = [...new Set(matches.flatMap(match => match.fields))];
+                return `${matches.length} other complaint${matches.length === 1 ? '' : 's'} with the same ${fields.join(', ')}`;
+            }
+        },
+        amountOutlier: {
+            label: 'Claim amount far above typical claims',
+            evaluate: (ticket, tickets) => {
+                const amount = ticket.admin.repair?.claimAmount;
+                if (!(amount > 0)) return null;
+                const others = tickets
+                    .filter(other => other.id !== ticket.id)
+                    .map(other => other.admin.repair?.claimAmount)
+                    .filter(value => value > 0);
+                if (others.length < RiskScoring.minClaimsForOutlier) return null;
+                const median = ReportMetrics.percentile(others, 50);
+                return amount > median * RiskScoring.outlierFactor
+                    ? `${Utils.formatMoney(amount)} is over ${RiskScoring.outlierFactor}× the median claim of ${Utils.formatMoney(median)}`
+                    : null;
+            }
+        }
+    },
+
+    outlierFactor: 3,
+
+    // Fewer claims than this and a median says little
+    minClaimsForOutlier: 5,
+
+    bands: [
+        { min: 60, label: 'High', className: 'bg-danger' },
+        { min: 30, label: 'Medium', className: 'bg-warning text-dark' },
+        { min: 0, label: 'Low', className: 'bg-success' }
+    ],
+
+    defaultSettings() {
+        return {
+            weights: {
+                afterGround: 25,
+                lateIncident: 20,
+                missingPhotos: 15,
+                exifAfterHandover: 25,
+                repeatClaimant: 20,
+                amountOutlier: 15
+            }
+        };
+    },
+
+    weight(settings, ruleId) {
+        return settings?.weights?.[ruleId] ?? this.defaultSettings().weights[ruleId];
+    },
+
+    // Other tickets sharing the customer's email or phone, or the vehicle registration. A duplicate
+    // merged into this ticket is the same claim, not a repeat.
+    previousClaims(ticket, tickets) {
+        return tickets
+            .filter(other => other.id !== ticket.id && DuplicateDetection.mergedInto(other) !== ticket.id)
+            .map(other => ({ id: other.id, fields: DuplicateDetection.sharedFields(ticket, other) }))
+            .filter(match => match.fields.length);
+    },
+
+    // { score, band, reasons: [{ rule, label, detail, weight }] }
+    assess(ticket, tickets, settings) {
+        const reasons = Object.entries(this.rules)
+            .map(([rule, definition]) => {
+                const weight = this.weight(settings, rule);
+                const detail = weight > 0 ? definition.evaluate(ticket, tickets) : null;
+                return detail ? { rule, label: definition.label, detail, weight } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.weight - a.weight);
+
+        const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+        return { score, band: this.bands.find(band => score >= band.min), reasons };
+    }
+};
+
+// Duplicate Detection
+// Two tickets are possible duplicates when they share the customer's email or phone, or the
+// vehicle registration, and the incidents are close together in time or described alike.
+const DuplicateDetection = {
+    incidentWindowDays: 3,
+
+    // Share of stemmed description terms in common (Jaccard) that counts as "described alike"
+    minSimilarity: 0.35,
+
+    // links[].relation as seen from the ticket holding the link
+    relations: {
+        related: 'Related',
+        duplicate: 'Merged duplicate',
+        original: 'Merged into'
+    },
+
+    evidenceLists: ['complaint.images', 'complaint.videos', 'admin.supportingImages', 'admin.supportingVideos', 'admin.supportingDocs'],
+
+    // 'email', 'phone' and/or 'registration'
+    sharedFields(a, b) {
+        const keys = {
+            email: (ticket) => (ticket.customer.email || '').trim().toLowerCase(),
+            phone: (ticket) => (ticket.customer.phone || '').replace(/\D/g, ''),
+            registration: (ticket) => BookingsApi.normaliseReg(ticket.booking?.reg || '')
+        };
+        return Object.entries(keys)
+            .filter(([, key]) => key(a) && key(a) === key(b))
+            .map(([field]) => field);
+    },
+
+    similarity(a, b) {
+        const termsA = new Set(SearchIndex.terms(a.complaint.description));
+        const termsB = new Set(SearchIndex.terms(b.complaint.description));
+        if (termsA.size === 0 || termsB.size === 0) return 0;
+        const shared = [...termsA].filter(term => termsB.has(term)).length;
+        return shared / (termsA.size + termsB.size - shared);
+    },
+
+    // Whole days between the incident dates, or null when either is unknown
+    incidentGapDays(a, b) {
+        const dateA = a.complaint.incidentDate;
+        const dateB = b.complaint.incidentDate;
+        if (!dateA || !dateB) return null;
+        return Math.round(Math.abs(new Date(`${dateA}T00:00:00`) - new Date(`${dateB}T00:00:00`)) / 86400000);
+    },
+
+    mergedInto(ticket) {
+        return (ticket.links || []).find(link => link.relation === 'original')?.id || null;
+    },
+
+    isLinked(a, b) {
+        return (a.links || []).some(link => link.id === b.id) || (b.links || []).some(link => link.id === a.id);
+    },
+
+    // [{ ticket, fields, gapDays, similarity }], strongest first. Tickets already linked to this
+    // one, or merged away into another, are not offered again.
+    candidates(ticket, tickets) {
+        return tickets
+            .filter(other => other.id !== ticket.id && !this.mergedInto(other) && !this.isLinked(ticket, other))
+            .map(other => {
+                const fields = this.sharedFields(ticket, other);
+                if (fields.length === 0) return null;
+
+                const gapDays = this.incidentGapDays(ticket, other);
+                const similarity = this.similarity(ticket, other);
+                const closeInTime = gapDays !== null && gapDays <= this.incidentWindowDays;
+                return closeInTime || similarity >= this.minSimilarity ? { ticket: other, fields, gapDays, similarity } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.fields.length - a.fields.length || b.similarity - a.similarity);
+    },
+
+    describe({ fields, gapDays, similarity }) {
+        return [
+            `Same ${fields.join(', ')}`,
+            gapDays === null ? null : gapDays === 0 ? 'same incident date' : `incidents ${gapDays} day${gapDays === 1 ? '' : 's'} apart`,
+            similarity > 0 ? `${Math.round(similarity * 100)}% similar description` : null
+        ].filter(Boolean).join(' • ');
+    },
+
+    // Why `duplicate` cannot be merged into `primary`, or null
+    mergeBlocker(primary, duplicate) {
+        if (this.mergedInto(primary)) return `${primary.id} was itself merged into ${this.mergedInto(primary)}`;
+        if (this.mergedInto(duplicate)) return `${duplicate.id} is already merged into ${this.mergedInto(duplicate)}`;
+        if (!CustomerPortal.closedStatuses.includes(duplicate.status) &&
+            !TicketWorkflow.transitions[duplicate.status]?.includes('Rejected')) {
+            return `${duplicate.id} cannot be closed while ${duplicate.status}`;
+        }
+        return null;
+    },
+
+    link(ticket, otherId, relation) {
+        ticket.links = [...(ticket.links || []).filter(link => link.id !== otherId), { id: otherId, relation }];
+        return ticket;
+    },
+
+    // Applied to both tickets
+    relate(ticket, otherId) {
+        ticket.audit.push(AuditTrail.event('ticket.linked', {
+            path: 'links',
+            to: otherId,
+            action: `Linked to related ticket ${otherId}`
+        }));
+        return this.link(ticket, otherId, 'related');
+    },
+
+    // The primary takes the duplicate's evidence (skipping files it already holds) and a copy of its
+    // audit trail. Copies are notes so the duplicate's status changes never count as the primary's.
+    absorb(primary, duplicate) {
+        this.evidenceLists.forEach(path => {
+            const [section, key] = path.split('.');
+            const held = new Set(primary[section][key].map(evidence => evidence.hash).filter(Boolean));
+            duplicate[section][key]
+                .filter(evidence => !evidence.hash || !held.has(evidence.hash))
+                .forEach(evidence => {
+                    primary[section][key].push(evidence);
+                    primary.audit.push(AuditTrail.event('evidence.added', {
+                        path,
+                        to: evidence.name,
+                        action: `Added ${evidence.kind || 'file'} ${evidence.name} from ${duplicate.id}`
+                    }));
+                });
+        });
+
+        duplicate.audit.forEach(entry => {
+            primary.audit.push(AuditTrail.event('note', {
+                at: entry.at,
+                actor: entry.actor,
+                reason: entry.reason,
+                action: `${duplicate.id}: ${entry.action || AuditTrail.types[entry.type] || entry.type}`
+            }));
+        });
+        primary.audit.push(AuditTrail.event('ticket.merged', {
+            path: 'links',
+            to: duplicate.id,
+            action: `Merged duplicate ${duplicate.id}`
+        }));
+        return this.link(primary, duplicate.id, 'duplicate');
+    },
+
+    // Points the duplicate at the primary and closes it, unless it is closed already
+    close(duplicate, primaryId) {
+        this.link(duplicate, primaryId, 'original');
+        duplicate.audit.push(AuditTrail.event('ticket.merged', {
+            path: 'links',
+            to: primaryId,
+            action: `Merged into ${primaryId}`
+        }));
+
+        if (!CustomerPortal.closedStatuses.includes(duplicate.status)) {
+            const rejectReason = `Duplicate of ${primaryId}`;
+            duplicate.admin.outcome = { ...duplicate.admin.outcome, decision: 'Rejected', rejectReason };
+            duplicate.audit.push(AuditTrail.event('status.changed', {
+                path: 'status',
+                from: duplicate.status,
+                to: 'Rejected',
+                reason: rejectReason,
+                action: 'Status changed to Rejected'
+            }));
+            duplicate.status = 'Rejected';
+        }
+        return duplicate;
+    }
+};
+
+// Utility Functions
+const Utils = {
+    formatMoney(amount) {
+        return `£${(Number(amount) || 0).toFixed(2)}`;
+    },
+
+    // Format date for display
+    formatDate(dateString) {
+        if (!dateString) return 'n/a';
+        try {
+            return new Date(dateString).toLocaleString();
+        } catch {
+            return 'Invalid date';
+        }
+    },
+
+    // Format an ISO date for datetime-local inputs, in local time
+    formatDateTimeForInput(dateString) {
+        if (!dateString) return '';
+        const date = new Date(dateString);
+        if (isNaN(date)) return '';
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    // Format date for input fields
+    formatDateForInput(dateString) {
+        if (!dateString) return '';
+        try {
+            return new Date(dateString).toISOString().split('T')[0];
+        } catch {
+            return '';
+        }
+    },
+
+    // Debounce function for search
+    debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    // Offer generated content as a file download
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    },
+
+    // Sanitize HTML to prevent XSS
+    sanitizeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    },
+
+    // Calculate average
+    calculateAverage(numbers) {
+        if (!numbers.length) return 0;
+        const sum = numbers.reduce((a, b) => a + b, 0);
+        return Math.round((sum / numbers.length) * 100) / 100;
+    },
+
+    // Get status badge class
+    getStatusBadgeClass(status) {
+        const statusMap = {
+            'New': 'status-new bg-info',
+            'Triage': 'status-triage bg-warning',
+            'Investigating': 'status-investigating bg-primary',
+            'Awaiting Customer': 'status-awaiting bg-warning',
+            'Repair Scheduled': 'status-repair bg-info',
+            'Resolved': 'status-resolved bg-success',
+            'Rejected': 'status-rejected bg-danger'
+        };
+        return statusMap[status] || 'bg-light';
+    }
+};
+
+// Validation Module
+const Validation = {
+    // Form validation rules
+    rules: {
+        required: (value) => value.trim().length > 0,
+        email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        phone: (value) => /^[\+]?[0-9\s\-\(\)]+$/.test(value),
+        minLength: (min) => (value) => value.trim().length >= min
+    },
+
+    // Validate a single value against { required, type }; returns an error message or null
+    validateValue(value, { required = false, type = 'text' } = {}) {
+        if (required && !this.rules.required(value)) {
+            return 'This field is required';
+        }
+        if (value && type === 'email' && !this.rules.email(value)) {
+            return 'Please enter a valid email address';
+        }
+        if (value && type === 'tel' && !this.rules.phone(value)) {
+            return 'Please enter a valid phone number';
+        }
+        return null;
+    },
+
+    // The rules a form's markup declares, keyed by field name, so data that never
+    // passes through the form (e.g. imports) is held to the same standard
+    fieldRules(formElement) {
+        const rules = {};
+        formElement.querySelectorAll('input, textarea, select').forEach(input => {
+            rules[input.name || input.id] = { required: input.hasAttribute('required'), type: input.type };
+        });
+        return rules;
+    },
+
+    // Validate plain values (keyed like fieldRules) against a form's rules
+    validateValues(values, rules) {
+        const errors = {};
+        Object.entries(rules).forEach(([name, rule]) => {
+            const error = this.validateValue(String(values[name] ?? ''), rule);
+            if (error) errors[name] = error;
+        });
+        return errors;
+    },
+
+    // Validate form
+    validateForm(formElement) {
+        const errors = {};
+        const inputs = formElement.querySelectorAll('input[required], textarea[required], select[required], input[type="email"], input[type="tel"]');
+
+        inputs.forEach(input => {
+            const name = input.name || input.id;
+
+            // Clear previous validation
+            input.classList.remove('is-invalid');
+            const feedback = input.parentNode.querySelector('.invalid-feedback');
+            if (feedback) {
+                feedback.remove();
+            }
+
+            const error = this.validateValue(input.value, { required: input.hasAttribute('required'), type: input.type });
+            if (error) {
+                errors[name] = error;
+            }
+        });
+
+        return errors;
+    },
+
+    // Display validation errors
+    displayErrors(errors) {
+        Object.keys(errors).forEach(fieldName => {
+            const field = document.getElementById(fieldName) || document.querySelector(`[name="${fieldName}"]`);
+            if (field) {
+                field.classList.add('is-invalid');
+                
+                const feedback = document.createElement('div');
+                feedback.className = 'invalid-feedback';
+                feedback.textContent = errors[fieldName];
+                field.parentNode.appendChild(feedback);
+            }
+        });
+    },
+
+    // Clear all validation errors
     clearErrors(formElement) {
         const invalidFields = formElement.querySelectorAll('.is-invalid');
         const feedbacks = formElement.querySelectorAll('.invalid-feedback');
@@ -337,10 +4690,35 @@ const ErrorBoundary = {
 // Main Application Class
 class ComplaintsDeskApp {
     constructor() {
-        this.state = new AppState();
+        this.state = new AppState(TicketStorage.createDefault(), TicketsApi.fromLocation());
+        this.identity = new MockIdentityProvider();
+        this.bookings = BookingsApi.fromLocation();
+        this.reportRange = ReportMetrics.defaultRange();
+        this.bookingVolumes = null; // { key, stats } for the report range, see renderHotspots
+        this.identity.listUsers().then(users => this.state.setState('users', users));
+
+        // Other open tabs of the desk reload when this one renumbers tickets, and vice versa
+        this.channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('complaints-desk');
+        this.channel?.addEventListener('message', (e) => {
+            if (e.data?.type === 'tickets-renumbered') this.state.hydrate();
+        });
+
+        // Object URLs for stored evidence blobs, keyed by content hash
+        this.blobUrls = new Map();
+        this.ticketList = null; // VirtualList, created on first render
+        // Ticket the status page is showing, { id, email, token }; kept in memory only
+        this.tracked = null;
+        // Complaint wizard position and the evidence attached so far (already stored as blobs)
+        this.wizardStep = 'contact';
+        this.draftEvidence = [];
         this.initializeEventListeners();
         this.initializeStateSubscriptions();
         this.render();
+        this.state.hydrate().then(() => {
+            this.checkSlaBreaches();
+            this.openTrackingLink();
+            this.restoreDraft();
+        });
     }
 
     initializeEventListeners() {
@@ -349,21 +4727,262 @@ class ComplaintsDeskApp {
             this.switchTab(e.target.value);
         });
 
+        // Damage hotspots
+        document.getElementById('reports-tab')?.addEventListener('click', (e) => {
+            const drillDown = e.target.closest('[data-hotspot-query]');
+            if (drillDown) this.openHotspotQuery(decodeURIComponent(drillDown.dataset.hotspotQuery));
+        });
+        document.getElementById('hotspot-settings-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveHotspotSettings();
+        });
+        document.getElementById('risk-settings-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRiskSettings();
+        });
+
+        // Reports date range
+        const reportGranularity = document.getElementById('report-granularity');
+        if (reportGranularity) {
+            reportGranularity.innerHTML = Object.entries(ReportMetrics.granularities)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        }
+        ['report-preset', 'report-from', 'report-to', 'report-granularity'].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('change', () => {
+                this.updateReportRange(fieldId);
+            });
+        });
+
+        // Repair calendar files
+        document.getElementById('repair-ics-customer')?.addEventListener('click', () => {
+            this.downloadRepairCalendar('customer');
+        });
+        document.getElementById('repair-ics-repairer')?.addEventListener('click', () => {
+            this.downloadRepairCalendar('repairer');
+        });
+
+        // Repairer directory (settings)
+        document.getElementById('repairer-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRepairer();
+        });
+        document.getElementById('repairer-form-reset')?.addEventListener('click', () => {
+            this.editRepairer(null);
+        });
+        document.getElementById('repairer-directory-table')?.addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-edit-repairer]');
+            const remove = e.target.closest('[data-remove-repairer]');
+            if (edit) this.editRepairer(edit.dataset.editRepairer);
+            if (remove) this.removeRepairer(remove.dataset.removeRepairer);
+        });
+
+        // Payout quote and approvals
+        document.getElementById('payout-item-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPayoutItem();
+        });
+        document.getElementById('payout-items')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-payout-item]');
+            const activeTicket = this.state.getActiveTicket();
+            if (button && activeTicket) {
+                this.state.updateTicket(activeTicket.id, (ticket) => Payout.removeItem(ticket, button.dataset.removePayoutItem));
+            }
+        });
+        document.getElementById('payout-actions')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-payout-status]');
+            if (button) this.changePayoutStatus(button.dataset.payoutStatus);
+        });
+
+        // Ticket ownership
+        document.getElementById('assignee-select')?.addEventListener('change', (e) => {
+            const activeTicket = this.state.getActiveTicket();
+            if (activeTicket) this.state.assignTicket(activeTicket.id, e.target.value || null);
+        });
+        document.getElementById('assign-to-me')?.addEventListener('click', () => {
+            const activeTicket = this.state.getActiveTicket();
+            if (activeTicket) this.state.assignTicket(activeTicket.id, this.state.currentUserId);
+        });
+        document.getElementById('my-tickets-toggle')?.addEventListener('click', () => {
+            this.toggleMyTickets();
+        });
+        document.getElementById('assignment-strategy')?.addEventListener('change', (e) => {
+            this.state.setState('assignmentSettings', { ...this.state.assignmentSettings, strategy: e.target.value });
+            NotificationSystem.show(`New tickets: ${Assignment.strategies[e.target.value]}`, 'success');
+        });
+        document.getElementById('ticket-number-format')?.addEventListener('change', (e) => {
+            this.state.setState('numberingSettings', { ...this.state.numberingSettings, format: e.target.value });
+            NotificationSystem.show(`New ticket numbers look like ${TicketNumbering.formats[e.target.value]}`, 'success');
+        });
+
+        // Sign in and out
+        document.getElementById('sign-in-button')?.addEventListener('click', () => {
+            this.showLogin();
+        });
+        document.getElementById('sign-out-button')?.addEventListener('click', () => {
+            this.signOut();
+        });
+        document.getElementById('login-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.signIn();
+        });
+
         // Search functionality
         const searchInput = document.getElementById('search-input');
         searchInput.addEventListener('input', Utils.debounce((e) => {
             this.state.setState('searchQuery', e.target.value);
         }, 300));
 
+        // Ticket list selection, delegated once for the virtual list's rows
+        const ticketsList = document.getElementById('tickets-list');
+        if (ticketsList) {
+            ticketsList.addEventListener('click', (e) => {
+                const ticketItem = e.target.closest('.tickets-list-item[data-ticket-id]');
+                if (ticketItem) {
+                    this.state.setState('activeTicketId', ticketItem.dataset.ticketId);
+                }
+            });
+
+            ticketsList.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    const ticketItem = e.target.closest('.tickets-list-item[data-ticket-id]');
+                    if (ticketItem) {
+                        e.preventDefault();
+                        this.state.setState('activeTicketId', ticketItem.dataset.ticketId);
+                    }
+                }
+            });
+        }
+
+        // Related tickets and possible duplicates
+        document.getElementById('related-tickets')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-open-ticket], [data-merge-ticket], [data-link-ticket]');
+            if (!button) return;
+            e.preventDefault();
+            if (button.dataset.openTicket) this.state.setState('activeTicketId', button.dataset.openTicket);
+            if (button.dataset.mergeTicket) this.mergeDuplicate(button.dataset.mergeTicket);
+            if (button.dataset.linkTicket) this.linkRelatedTicket(button.dataset.linkTicket);
+        });
+
+        // Filter chips remove their own term from the query
+        document.getElementById('filter-chips')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-term]');
+            if (chip) {
+                this.applySearch(TicketQuery.without(this.state.searchQuery, chip.dataset.term));
+            }
+        });
+
+        // Saved views
+        document.getElementById('saved-views')?.addEventListener('change', (e) => {
+            const view = this.state.getSavedViews().find(v => v.id === e.target.value);
+            if (view) {
+                this.applySearch(view.query, view.sortOrder);
+            }
+        });
+        document.getElementById('save-view')?.addEventListener('click', () => {
+            this.saveCurrentView();
+        });
+        document.getElementById('delete-view')?.addEventListener('click', () => {
+            this.deleteSelectedView();
+        });
+
+        // Ticket list sort order
+        const sortSelect = document.getElementById('ticket-sort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => {
+                this.state.setState('sortOrder', e.target.value);
+            });
+        }
+
+        // SLA settings
+        const slaForm = document.getElementById('sla-settings-form');
+        if (slaForm) {
+            slaForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSlaSettings();
+            });
+        }
+
         // Complaint form submission
+        // Enter in an earlier step moves on rather than submitting
         document.getElementById('complaint-form').addEventListener('submit', (e) => {
             e.preventDefault();
-            this.handleComplaintSubmission();
+            if (this.wizardStep === 'review') {
+                this.handleComplaintSubmission().catch(error => {
+                    console.error('Complaint submission failed:', error);
+                    NotificationSystem.show('Your complaint could not be saved. Please try again.', 'error');
+                });
+            } else {
+                this.wizardNext();
+            }
+        });
+
+        // Customer status page
+        document.getElementById('track-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.trackComplaint();
+        });
+        document.getElementById('portal-confirmation')?.addEventListener('click', (e) => {
+            if (e.target.closest('#confirmation-track')) {
+                this.showCustomerStatus(this.confirmation);
+            } else if (e.target.closest('#confirmation-open-desk')) {
+                this.switchTab('desk');
+            }
+        });
+        document.getElementById('portal-status')?.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-slot-date]');
+            if (slot) this.bookCustomerSlot(slot.dataset.slotDate, slot.dataset.slotWindow);
+            if (e.target.closest('#portal-status-close')) this.showCustomerStatus(null);
+        });
+        document.getElementById('portal-status')?.addEventListener('change', (e) => {
+            if (e.target.id === 'portal-upload') this.uploadCustomerEvidence(e.target.files[0]);
+        });
+
+        // Complaint wizard: the nature decides whether there is a damage step
+        document.getElementById('complaint-nature').addEventListener('change', () => {
+            this.renderWizard();
+        });
+        document.getElementById('wizard-next')?.addEventListener('click', () => {
+            this.wizardNext();
+        });
+        document.getElementById('wizard-back')?.addEventListener('click', () => {
+            this.wizardBack();
+        });
+        document.getElementById('wizard-discard')?.addEventListener('click', () => {
+            this.discardDraft();
+        });
+        document.getElementById('wizard-progress')?.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-wizard-goto]');
+            if (step) this.showWizardStep(step.dataset.wizardGoto);
+        });
+        document.getElementById('wizard-review')?.addEventListener('click', (e) => {
+            const step = e.target.closest('[data-wizard-goto]');
+            if (step) this.showWizardStep(step.dataset.wizardGoto);
+        });
+        document.getElementById('wizard-evidence')?.addEventListener('change', async (e) => {
+            await this.addDraftEvidence(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        document.getElementById('wizard-evidence-list')?.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove-draft-evidence]');
+            if (remove) this.removeDraftEvidence(remove.dataset.removeDraftEvidence);
+        });
+
+        // Booking lookup; a changed registration or reference invalidates the last match
+        document.getElementById('booking-lookup')?.addEventListener('click', () => {
+            this.lookupBooking();
+        });
+        ['vehicle-reg', 'booking-ref'].forEach(fieldId => {
+            document.getElementById(fieldId)?.addEventListener('change', () => {
+                this.lookupBooking({ quiet: true });
+            });
         });
 
-        // Complaint nature change
-        document.getElementById('complaint-nature').addEventListener('change', (e) => {
-            this.toggleDamageFields(e.target.value === 'Damage');
+        // Drafts are saved as the customer types
+        const complaintForm = document.getElementById('complaint-form');
+        const saveDraft = Utils.debounce(() => this.saveDraft(), 500);
+        complaintForm.addEventListener('input', saveDraft);
+        complaintForm.addEventListener('change', (e) => {
+            if (e.target.type !== 'file') saveDraft();
         });
 
         // Damage types change
@@ -373,6 +4992,84 @@ class ComplaintsDeskApp {
             }
         });
 
+        // Pre-fill capture time from the photo's EXIF data
+        [['ci-file', 'ci-time'], ['si-file', 'si-time']].forEach(([fileId, timeId]) => {
+            document.getElementById(fileId)?.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                const timeInput = document.getElementById(timeId);
+                const exif = file ? await ExifReader.read(file) : null;
+                if (exif?.takenAt && timeInput && !timeInput.value) {
+                    timeInput.value = Utils.formatDateTimeForInput(exif.takenAt);
+                }
+            });
+        });
+
+        // Bulk import and export
+        document.getElementById('import-file')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.previewImport(file);
+            e.target.value = '';
+        });
+        document.getElementById('import-confirm')?.addEventListener('click', () => {
+            this.confirmImport().catch(error => {
+                console.error('Import failed:', error);
+                NotificationSystem.show(`Import stopped: ${error.message}. Confirm again to import the remaining tickets.`, 'error');
+            });
+        });
+        document.getElementById('export-csv')?.addEventListener('click', () => {
+            this.exportTickets('csv');
+        });
+        document.getElementById('export-json')?.addEventListener('click', () => {
+            this.exportTickets('json');
+        });
+
+        // Audit log filters
+        const auditFilterType = document.getElementById('audit-filter-type');
+        if (auditFilterType) {
+            auditFilterType.innerHTML = '<option value="">All events</option>' + Object.entries(AuditTrail.types)
+                .map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+        }
+        ['audit-filter-type', 'audit-filter-text'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                const activeTicket = this.state.getActiveTicket();
+                if (activeTicket) this.updateAuditLog(activeTicket);
+            });
+        });
+
+        // Undo/redo for the open ticket. Text fields keep their own native undo.
+        document.getElementById('ticket-undo')?.addEventListener('click', () => {
+            this.undoActiveTicket('undo');
+        });
+        document.getElementById('ticket-redo')?.addEventListener('click', () => {
+            this.undoActiveTicket('redo');
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                this.undoActiveTicket(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+            }
+        });
+
+        // Claim pack export
+        document.getElementById('export-claim-print')?.addEventListener('click', () => {
+            this.exportClaimPack('print');
+        });
+        document.getElementById('export-claim-pdf')?.addEventListener('click', () => {
+            this.exportClaimPack('pdf');
+        });
+
+        // Evidence thumbnails open in the lightbox
+        document.getElementById('ticket-details')?.addEventListener('click', (e) => {
+            const thumb = e.target.closest('[data-lightbox]');
+            if (thumb) {
+                this.openLightbox(thumb.dataset.lightbox);
+            }
+        });
+
         // Ticket details form changes
         this.initializeTicketDetailsListeners();
     }
@@ -471,16 +5168,16 @@ class ComplaintsDeskApp {
 
     initializeRepairFormListeners() {
         const repairFields = [
-            'repairer', 'claim-amount', 'timeframe-days', 'scheduled-date',
+            'repairer', 'timeframe-days', 'scheduled-date',
             'scheduled-window', 'preferred-time', 'parking-available', 'power-available'
         ];
 
         repairFields.forEach(fieldId => {
             const field = document.getElementById(fieldId);
             if (field) {
-                const eventType = field.type === 'checkbox' ? 'change' : 'blur';
+                const eventType = field.type === 'checkbox' || field.tagName === 'SELECT' || field.type === 'date' ? 'change' : 'blur';
                 field.addEventListener(eventType, () => {
-                    this.updateRepairInfo();
+                    this.updateRepairInfo(fieldId);
                 });
             }
         });
@@ -491,19 +5188,224 @@ class ComplaintsDeskApp {
             this.renderTicketsList();
             this.renderReports();
             this.renderTicketDetails();
+            this.renderCustomerStatus();
         });
 
-        this.state.subscribe('activeTicketId', () => {
+        this.state.subscribe('activeTicketId', (ticketId) => {
             this.renderTicketDetails();
             this.renderTicketsList(); // Re-render to update active state
+            this.ticketList?.scrollToKey(ticketId);
         });
 
         this.state.subscribe('searchQuery', () => {
+            this.renderFilterChips();
+            this.renderTicketsList();
+        });
+
+        this.state.subscribe('sortOrder', (sortOrder) => {
+            const sortSelect = document.getElementById('ticket-sort');
+            if (sortSelect) sortSelect.value = sortOrder;
+            this.renderTicketsList();
+        });
+
+        this.state.subscribe('savedViews', () => {
+            this.renderSavedViews();
+        });
+
+        this.state.subscribe('slaSettings', () => {
+            this.renderSlaSettings();
+            this.renderTicketsList();
+            this.checkSlaBreaches();
+        });
+
+        this.state.subscribe('storageError', (error) => {
+            console.error('Ticket storage error:', error);
+            NotificationSystem.show('Changes could not be saved locally and will be lost on reload', 'warning');
+        });
+
+        this.state.subscribe('syncError', (error) => {
+            console.error('Ticket sync error:', error);
+            NotificationSystem.show(`Server rejected the change: ${error.message}`, 'error');
+        });
+
+        this.state.subscribe('syncConflict', (conflict) => {
+            NotificationSystem.show(`${conflict.message}. Showing the latest version.`, 'warning', 'Conflict');
+        });
+
+        this.state.subscribe('session', () => {
+            this.renderSession();
+        });
+
+        this.state.subscribe('hotspotSettings', () => {
+            this.renderHotspotSettings();
+            this.renderReports();
+            this.renderTicketDetails();
+        });
+
+        this.state.subscribe('ticketsRenumbered', (renamed) => {
+            this.channel?.postMessage({ type: 'tickets-renumbered' });
+            NotificationSystem.show(`${renamed.size} ticket${renamed.size === 1 ? '' : 's'} moved to sequential numbers. Old references still work.`, 'info', 'Tickets renumbered');
+        });
+
+        this.state.subscribe('numberingSettings', () => {
+            this.renderNumberingSettings();
+        });
+
+        this.state.subscribe('riskSettings', () => {
+            this.renderRiskSettings();
+            this.renderTicketDetails();
+        });
+
+        this.state.subscribe('repairers', () => {
+            this.renderRepairerDirectory();
+            this.renderTicketDetails();
+        });
+
+        this.state.subscribe('users', () => {
             this.renderTicketsList();
+            this.renderTicketDetails();
+        });
+
+        // Put the refused values back in the form
+        this.state.subscribe('permissionDenied', (reasons) => {
+            NotificationSystem.show(reasons.join('; '), 'error', 'Not permitted');
+            this.renderTicketDetails();
         });
     }
 
+    // "My tickets" queue: adds or removes assignee:me on the current query
+    toggleMyTickets() {
+        const query = TicketQuery.parse(this.state.searchQuery);
+        const mine = query.terms.find(term => term.key === 'assignee' && !term.negate && term.options?.includes('me'));
+        const next = mine
+            ? TicketQuery.without(this.state.searchQuery, mine.raw)
+            : `${this.state.searchQuery.trim()} assignee:me`.trim();
+
+        this.applySearch(next);
+    }
+
+    updateOwnership(ticket) {
+        const session = this.state.session;
+        const assigneeSelect = document.getElementById('assignee-select');
+        if (assigneeSelect) {
+            const owners = this.state.users.filter(user => AccessControl.roles[user.role]?.permissions.includes('ticket.assign'));
+            assigneeSelect.innerHTML = '<option value="">Unassigned</option>' + owners
+                .map(user => `<option value="${Utils.sanitizeHtml(user.id)}">${Utils.sanitizeHtml(user.name)}</option>`).join('');
+            if (ticket.assignee && !owners.some(user => user.id === ticket.assignee)) {
+                assigneeSelect.insertAdjacentHTML('beforeend',
+                    `<option value="${Utils.sanitizeHtml(ticket.assignee)}">${Utils.sanitizeHtml(Assignment.userName(ticket.assignee, this.state.users))}</option>`);
+            }
+            assigneeSelect.value = ticket.assignee || '';
+
+            const ownedByOther = ticket.assignee && ticket.assignee !== session?.userId;
+            assigneeSelect.disabled = !AccessControl.can(session, 'ticket.assign') ||
+                (ownedByOther && !AccessControl.can(session, 'ticket.reassign'));
+        }
+
+        const assignToMe = document.getElementById('assign-to-me');
+        if (assignToMe) {
+            assignToMe.classList.toggle('d-none', !session || ticket.assignee === session.userId);
+            assignToMe.disabled = !AccessControl.can(session, 'ticket.assign') ||
+                (ticket.assignee && !AccessControl.can(session, 'ticket.reassign'));
+        }
+    }
+
+    renderWorkload() {
+        const table = document.getElementById('workload-table');
+        if (!table) return;
+
+        const rows = Assignment.workload(this.state.tickets, this.state.users, { slaSettings: this.state.slaSettings });
+        table.innerHTML = `
+            <thead>
+                <tr><th>Owner</th><th class="text-end">Open</th><th class="text-end">SLA breached</th><th class="text-end">Resolved</th><th class="text-end">Total</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="${row.id === this.state.session?.userId ? 'table-active' : ''}">
+                        <td>${Utils.sanitizeHtml(row.name)}</td>
+                        <td class="text-end">${row.open}</td>
+                        <td class="text-end ${row.breached ? 'text-danger fw-semibold' : ''}">${row.breached}</td>
+                        <td class="text-end">${row.resolved}</td>
+                        <td class="text-end">${row.total}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    showLogin() {
+        const modal = document.getElementById('login-modal');
+        if (modal) bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    async signIn() {
+        const username = document.getElementById('login-username');
+        const password = document.getElementById('login-password');
+        const error = document.getElementById('login-error');
+
+        try {
+            const session = await this.identity.signIn(username.value, password.value);
+            this.state.setState('session', session);
+            password.value = '';
+            error?.classList.add('d-none');
+
+            const modal = document.getElementById('login-modal');
+            if (modal) bootstrap.Modal.getOrCreateInstance(modal).hide();
+            NotificationSystem.show(`Signed in as ${session.name}`, 'success');
+        } catch (e) {
+            if (!(e instanceof AuthenticationError)) throw e;
+            if (error) {
+                error.textContent = e.message;
+                error.classList.remove('d-none');
+            }
+        }
+    }
+
+    async signOut() {
+        await this.identity.signOut();
+        this.state.endSession();
+        NotificationSystem.show('Signed out', 'info');
+    }
+
+    // Header badge, reachable tabs and edit controls all follow the session
+    renderSession() {
+        const session = this.state.session;
+        if (session && !AccessControl.isActive(session)) {
+            this.state.endSession();
+            return;
+        }
+
+        const currentUser = document.getElementById('current-user');
+        if (currentUser) {
+            currentUser.textContent = session
+                ? `${session.name} · ${AccessControl.roles[session.role]?.label || session.role}`
+                : '';
+        }
+        document.getElementById('sign-in-button')?.classList.toggle('d-none', Boolean(session));
+        document.getElementById('sign-out-button')?.classList.toggle('d-none', !session);
+
+        const importFile = document.getElementById('import-file');
+        if (importFile) importFile.disabled = !AccessControl.can(session, 'tickets.import');
+
+        if (!AccessControl.canViewTab(session, this.state.currentTab)) {
+            this.switchTab('portal');
+        } else if (this.state.currentTab === 'desk') {
+            this.renderTicketDetails();
+        }
+    }
+
     switchTab(tabName) {
+        if (!AccessControl.canViewTab(this.state.session, tabName)) {
+            document.getElementById('tab-selector').value = this.state.currentTab;
+            if (this.state.session) {
+                NotificationSystem.show('Your role cannot open this tab', 'error', 'Not permitted');
+            } else {
+                this.showLogin();
+            }
+            return;
+        }
+        document.getElementById('tab-selector').value = tabName;
+
         // Hide all tabs
         document.querySelectorAll('.tab-content').forEach(tab => {
             tab.classList.add('d-none');
@@ -517,21 +5419,23 @@ class ComplaintsDeskApp {
             
             // Render tab-specific content
             if (tabName === 'desk') {
+                this.renderSavedViews();
+                this.renderFilterChips();
                 this.renderTicketsList();
                 this.renderTicketDetails();
             } else if (tabName === 'reports') {
                 this.renderReports();
+            } else if (tabName === 'settings') {
+                this.renderSlaSettings();
+                this.renderAssignmentSettings();
+                this.renderNumberingSettings();
+                this.renderRepairerDirectory();
+                this.renderHotspotSettings();
+                this.renderRiskSettings();
             }
         }
     }
 
-    toggleDamageFields(show) {
-        const damageFields = document.getElementById('damage-fields');
-        if (damageFields) {
-            damageFields.classList.toggle('d-none', !show);
-        }
-    }
-
     updateTimingSection() {
         const damageCheckboxes = document.querySelectorAll('#damage-types input[type="checkbox"]:checked');
         const timingSection = document.getElementById('timing-section');
@@ -541,44 +5445,577 @@ class ComplaintsDeskApp {
         }
     }
 
-    handleComplaintSubmission() {
+    async handleComplaintSubmission() {
         const form = document.getElementById('complaint-form');
         
         // Clear previous validation
         Validation.clearErrors(form);
 
-        // Validate form
-        const errors = Validation.validateForm(form);
-
-        // Custom validation for damage complaints
-        const nature = document.getElementById('complaint-nature').value;
-        if (nature === 'Damage') {
-            const damageTypes = Array.from(document.querySelectorAll('#damage-types input:checked')).map(cb => cb.value);
-            if (damageTypes.length === 0) {
-                errors['damage-types'] = 'At least one damage type is required for damage complaints';
+        // Every step is checked again; the first one with errors is shown
+        const steps = ComplaintWizard.activeSteps(document.getElementById('complaint-nature').value);
+        for (const step of steps) {
+            const errors = ComplaintWizard.validateStep(step.id, this.wizardFieldset(step.id));
+            if (Object.keys(errors).length > 0) {
+                this.showWizardStep(step.id);
+                Validation.displayErrors(errors);
+                NotificationSystem.show('Please correct the errors in the form', 'error');
+                return;
             }
         }
 
-        // Display errors if any
-        if (Object.keys(errors).length > 0) {
-            Validation.displayErrors(errors);
-            NotificationSystem.show('Please correct the errors in the form', 'error');
-            return;
-        }
-
         // Create ticket
         const ticketData = this.collectComplaintFormData();
         const newTicket = this.createTicketFromComplaint(ticketData);
-        
-        this.state.addTicket(newTicket);
-        this.state.setState('activeTicketId', newTicket.id);
-        this.switchTab('desk');
+        this.draftEvidence.forEach(evidence => {
+            const listType = evidence.kind === 'video' ? 'complaint.videos' : 'complaint.images';
+            (evidence.kind === 'video' ? newTicket.complaint.videos : newTicket.complaint.images).push(evidence);
+            newTicket.audit.push(AuditTrail.event('evidence.added', {
+                actor: 'customer',
+                path: listType,
+                to: evidence.name,
+                action: `Added ${evidence.kind} ${evidence.name}`
+            }));
+        });
+        const duplicates = DuplicateDetection.candidates(newTicket, this.state.tickets);
+        if (duplicates.length > 0) {
+            newTicket.audit.push(AuditTrail.event('duplicate.suspected', {
+                actor: 'system',
+                action: `Possible duplicate of ${duplicates.map(candidate => candidate.ticket.id).join(', ')}`
+            }));
+        }
+        const token = CustomerPortal.issueToken();
+        CustomerPortal.grant(newTicket, token);
+        this.state.autoAssign(newTicket);
+
+        // The submit button stays disabled while the ticket is numbered and saved so a double click
+        // cannot file the complaint twice
+        const submitButton = document.getElementById('wizard-submit');
+        submitButton.disabled = true;
+        let created;
+        try {
+            created = await this.state.createTicket(newTicket);
+        } catch (error) {
+            console.error('Ticket creation failed:', error);
+            NotificationSystem.show('Your complaint could not be saved. Please try again.', 'error');
+            return;
+        } finally {
+            submitButton.disabled = false;
+        }
+        this.state.setState('activeTicketId', created.id);
+        this.showConfirmation(created, token);
         
         // Reset form
-        form.reset();
-        this.toggleDamageFields(false);
+        this.discardDraft();
         
-        NotificationSystem.show(`Ticket ${newTicket.id} created successfully`, 'success');
+        NotificationSystem.show(`Ticket ${created.id} created successfully`, 'success');
+    }
+
+    // Fills the booking step from the customer's booking. `quiet` skips the lookup (and the
+    // missing-registration error) when there is no registration yet.
+    async lookupBooking({ quiet = false } = {}) {
+        const regField = document.getElementById('vehicle-reg');
+        const reg = BookingsApi.normaliseReg(regField.value);
+        Validation.clearErrors(this.wizardFieldset('booking'));
+        this.applyBooking(null);
+        if (!reg) {
+            if (!quiet) Validation.displayErrors({ 'vehicle-reg': 'Enter your registration to find your booking' });
+            this.renderBookingLookup();
+            return;
+        }
+
+        this.renderBookingLookup('Looking up your booking…');
+        let booking;
+        try {
+            booking = await this.bookings.lookup({
+                reg,
+                ref: document.getElementById('booking-ref').value,
+                email: document.getElementById('customer-email').value
+            });
+        } catch (error) {
+            console.error('Booking lookup failed:', error);
+            this.renderBookingLookup('We could not check your booking right now. You can still continue.', 'warning');
+            return;
+        }
+
+        // The customer may have edited the registration while we were waiting
+        if (BookingsApi.normaliseReg(regField.value) !== reg) return;
+
+        if (booking) {
+            regField.value = booking.reg;
+            this.applyBooking(booking);
+        }
+        this.renderBookingLookup(booking ? null : `We could not find a booking for ${reg}. Check the registration or booking reference; you can still continue and we will match it by hand.`, 'warning');
+        this.saveDraft();
+    }
+
+    // Hidden fields carry the match, so drafts keep it and collectComplaintFormData() sees it.
+    // Dropping a match also clears what it prefilled.
+    applyBooking(booking) {
+        const bookingId = document.getElementById('booking-id');
+        const terminal = document.getElementById('terminal');
+        const driverName = document.getElementById('driver-name');
+        if (!booking && bookingId.value) {
+            terminal.value = '';
+            driverName.value = '';
+        }
+
+        bookingId.value = booking?.bookingId || '';
+        document.getElementById('booking-arrival').value = booking?.arrival || '';
+        document.getElementById('booking-return').value = booking?.return || '';
+        if (!booking) return;
+
+        terminal.value = booking.terminal || '';
+        if (booking.driverName) driverName.value = booking.driverName;
+    }
+
+    // With no message, shows the matched booking (if any)
+    renderBookingLookup(message, type = 'info') {
+        const result = document.getElementById('booking-lookup-result');
+        if (!result) return;
+
+        const bookingId = document.getElementById('booking-id').value;
+        if (message) {
+            result.innerHTML = `<div class="alert alert-${type} small py-2 mb-0">${Utils.sanitizeHtml(message)}</div>`;
+        } else if (bookingId) {
+            const arrival = document.getElementById('booking-arrival').value;
+            const returned = document.getElementById('booking-return').value;
+            result.innerHTML = `
+                <div class="alert alert-success small py-2 mb-0">
+                    <i class="bi bi-check-circle me-1"></i>Booking ${Utils.sanitizeHtml(bookingId)} found:
+                    ${Utils.sanitizeHtml(document.getElementById('terminal').value || 'terminal n/a')},
+                    handed over ${Utils.formatDate(arrival)}${returned ? `, returned ${Utils.formatDate(returned)}` : ''}.
+                </div>
+            `;
+        } else {
+            result.innerHTML = '';
+        }
+    }
+
+    wizardFieldset(stepId) {
+        return document.querySelector(`#complaint-form [data-step="${stepId}"]`);
+    }
+
+    renderWizard() {
+        const nature = document.getElementById('complaint-nature')?.value;
+        const steps = ComplaintWizard.activeSteps(nature);
+        let index = steps.findIndex(step => step.id === this.wizardStep);
+        if (index === -1) {
+            index = 0;
+            this.wizardStep = steps[0].id;
+        }
+
+        document.querySelectorAll('#complaint-form .wizard-step').forEach(fieldset => {
+            fieldset.classList.toggle('d-none', fieldset.dataset.step !== this.wizardStep);
+        });
+
+        const progress = document.getElementById('wizard-progress');
+        if (progress) {
+            progress.innerHTML = steps.map((step, i) => `
+                <li class="${i < index ? 'done' : ''} ${i === index ? 'active' : ''}" ${i === index ? 'aria-current="step"' : ''}>
+                    ${i < index
+                        ? `<button type="button" class="btn btn-link p-0" data-wizard-goto="${step.id}">${step.label}</button>`
+                        : `<span>${step.label}</span>`}
+                </li>
+            `).join('');
+        }
+
+        const onReview = this.wizardStep === 'review';
+        document.getElementById('wizard-back').disabled = index === 0;
+        document.getElementById('wizard-next').classList.toggle('d-none', onReview);
+        document.getElementById('wizard-submit').classList.toggle('d-none', !onReview);
+
+        this.updateTimingSection();
+        this.renderDraftEvidence();
+        if (onReview) this.renderWizardReview();
+    }
+
+    // Going back is always allowed; going forward only through `wizardNext`, which validates
+    showWizardStep(stepId) {
+        this.wizardStep = stepId;
+        this.renderWizard();
+        this.saveDraft();
+        this.wizardFieldset(stepId)?.querySelector('input:not([type="hidden"]), select, textarea')?.focus();
+    }
+
+    wizardNext() {
+        const fieldset = this.wizardFieldset(this.wizardStep);
+        Validation.clearErrors(fieldset);
+        const errors = ComplaintWizard.validateStep(this.wizardStep, fieldset);
+        if (Object.keys(errors).length > 0) {
+            Validation.displayErrors(errors);
+            return;
+        }
+
+        const steps = ComplaintWizard.activeSteps(document.getElementById('complaint-nature').value);
+        const next = steps[steps.findIndex(step => step.id === this.wizardStep) + 1];
+        if (next) this.showWizardStep(next.id);
+    }
+
+    wizardBack() {
+        const steps = ComplaintWizard.activeSteps(document.getElementById('complaint-nature').value);
+        const previous = steps[steps.findIndex(step => step.id === this.wizardStep) - 1];
+        if (previous) this.showWizardStep(previous.id);
+    }
+
+    renderWizardReview() {
+        const review = document.getElementById('wizard-review');
+        if (!review) return;
+
+        const data = this.collectComplaintFormData();
+        const section = (stepId, title, rows) => `
+            <div class="d-flex justify-content-between align-items-center">
+                <h6 class="small fw-semibold mb-1">${title}</h6>
+                <button type="button" class="btn btn-link btn-sm p-0" data-wizard-goto="${stepId}">Edit</button>
+            </div>
+            <dl class="row small mb-2">
+                ${rows.map(([label, value]) => `
+                    <dt class="col-5 fw-normal text-muted">${label}</dt>
+                    <dd class="col-7 mb-1">${Utils.sanitizeHtml(value || '—')}</dd>
+                `).join('')}
+            </dl>
+        `;
+
+        review.innerHTML = [
+            section('contact', 'Contact', [
+                ['Name', data.customer.name], ['Phone', data.customer.phone],
+                ['Email', data.customer.email], ['Address', data.customer.address]
+            ]),
+            section('booking', 'Booking', [
+                ['Registration', data.booking.reg],
+                ['Booking', data.booking.bookingId || (data.booking.reg ? 'Not found, we will match it by hand' : '')],
+                ['Terminal', data.booking.terminal], ['Driver', data.booking.driverName]
+            ]),
+            section('incident', 'Incident', [['Nature', data.nature], ['Description', data.complaint.description]]),
+            data.nature === 'Damage' ? section('damage', 'Damage & timing', [
+                ['Damage', data.complaint.damageTypes.join(', ')],
+                ['Incident date', data.complaint.incidentDate],
+                ['Told the driver', data.complaint.customerNotifiedDriver ? 'Yes' : 'No'],
+                ['Informed', data.informedTiming]
+            ]) : '',
+            section('evidence', 'Photos and videos', [
+                ['Attached', this.draftEvidence.map(evidence => evidence.name).join(', ') || 'None']
+            ])
+        ].join('');
+    }
+
+    // Files are stored as blobs straight away, so a restored draft still has them
+    async addDraftEvidence(files) {
+        const draft = {
+            complaint: { images: this.draftEvidence, videos: [] },
+            admin: { supportingImages: [], supportingVideos: [], supportingDocs: [] }
+        };
+        for (const file of files) {
+            const kind = EvidencePolicy.mimeType(file).startsWith('video/') ? 'video' : 'image';
+            const evidence = await this.prepareEvidence(draft, file, kind);
+            if (evidence) this.draftEvidence.push(evidence);
+        }
+        this.renderDraftEvidence();
+        this.saveDraft();
+    }
+
+    removeDraftEvidence(evidenceId) {
+        const removed = this.draftEvidence.filter(evidence => evidence.id === evidenceId);
+        this.draftEvidence = this.draftEvidence.filter(evidence => evidence.id !== evidenceId);
+        this.state.releaseBlobs(removed.map(evidence => evidence.hash));
+        this.renderDraftEvidence();
+        this.saveDraft();
+    }
+
+    renderDraftEvidence() {
+        const list = document.getElementById('wizard-evidence-list');
+        if (!list) return;
+
+        list.innerHTML = this.draftEvidence.map(evidence => `
+            <li class="list-group-item d-flex justify-content-between align-items-center px-0">
+                <span class="small">
+                    <i class="bi ${evidence.kind === 'video' ? 'bi-camera-video' : 'bi-image'} me-1"></i>
+                    ${Utils.sanitizeHtml(evidence.name)}
+                </span>
+                <button type="button" class="btn btn-link btn-sm text-danger p-0" data-remove-draft-evidence="${evidence.id}">Remove</button>
+            </li>
+        `).join('');
+    }
+
+    saveDraft() {
+        const form = document.getElementById('complaint-form');
+        const fields = ComplaintWizard.capture(form);
+        const empty = Object.values(fields).every(value => !value) && this.draftEvidence.length === 0;
+        this.state.setState('complaintDraft', empty ? null : {
+            savedAt: new Date().toISOString(),
+            step: this.wizardStep,
+            fields,
+            evidence: this.draftEvidence
+        });
+        this.renderDraftStatus();
+    }
+
+    restoreDraft() {
+        const draft = this.state.complaintDraft;
+        if (draft) {
+            ComplaintWizard.restore(document.getElementById('complaint-form'), draft.fields);
+            this.draftEvidence = draft.evidence || [];
+            this.wizardStep = draft.step || 'contact';
+            NotificationSystem.show('We restored the complaint you had started', 'info', 'Draft restored');
+        }
+        this.renderWizard();
+        this.renderBookingLookup();
+        this.renderDraftStatus();
+    }
+
+    // After a submission the new ticket holds the draft's files, so only abandoned ones are deleted
+    discardDraft() {
+        this.resetComplaintForm();
+        this.state.releaseBlobs(this.draftEvidence.map(evidence => evidence.hash));
+        this.draftEvidence = [];
+        this.wizardStep = 'contact';
+        this.state.setState('complaintDraft', null);
+        this.renderWizard();
+        this.renderBookingLookup();
+        this.renderDraftStatus();
+    }
+
+    // form.reset() leaves hidden inputs alone, so the matched booking is cleared explicitly
+    resetComplaintForm() {
+        const form = document.getElementById('complaint-form');
+        form.reset();
+        this.applyBooking(null);
+        Validation.clearErrors(form);
+    }
+
+    renderDraftStatus() {
+        const draft = this.state.complaintDraft;
+        const status = document.getElementById('wizard-draft-status');
+        if (status) status.textContent = draft ? `Draft saved ${Utils.formatDate(draft.savedAt)}` : '';
+        document.getElementById('wizard-discard')?.classList.toggle('d-none', !draft);
+    }
+
+    // The token is shown once here; the ticket only keeps its hash
+    showConfirmation(ticket, token) {
+        const card = document.getElementById('portal-confirmation');
+        if (!card) return;
+
+        this.confirmation = { id: ticket.id, token };
+        const link = CustomerPortal.trackingLink(ticket.id, token);
+        card.querySelector('.card-body').innerHTML = `
+            <p class="mb-2">Thank you, ${Utils.sanitizeHtml(ticket.customer.name)}. Your complaint has been received.</p>
+            <dl class="row small mb-2">
+                <dt class="col-4">Reference</dt>
+                <dd class="col-8 fw-semibold">${Utils.sanitizeHtml(ticket.id)}</dd>
+                <dt class="col-4">Received</dt>
+                <dd class="col-8">${Utils.formatDate(ticket.createdAt)}</dd>
+                <dt class="col-4">Tracking code</dt>
+                <dd class="col-8"><code>${token}</code></dd>
+            </dl>
+            <p class="small text-muted mb-2">Keep the tracking code private. Anyone with it can follow this complaint and add photos.</p>
+            <input type="text" class="form-control form-control-sm mb-2" value="${Utils.sanitizeHtml(link)}" readonly aria-label="Tracking link">
+            <div class="d-flex gap-2">
+                <button type="button" id="confirmation-track" class="btn btn-primary btn-sm">Track this complaint</button>
+                ${AccessControl.canViewTab(this.state.session, 'desk')
+                    ? '<button type="button" id="confirmation-open-desk" class="btn btn-outline-secondary btn-sm">Open in desk</button>'
+                    : ''}
+            </div>
+        `;
+        card.classList.remove('d-none');
+    }
+
+    // ?track=<id>&token=<code> from the confirmation link
+    openTrackingLink() {
+        const params = new URLSearchParams(location.search);
+        const id = params.get('track');
+        if (!id) return;
+
+        const credentials = { id: id.trim().toUpperCase(), token: params.get('token') || '' };
+        const ticket = this.state.findTicket(credentials.id);
+        if (CustomerPortal.verify(ticket, credentials)) {
+            this.showCustomerStatus({ ...credentials, id: ticket.id });
+        } else {
+            NotificationSystem.show('That tracking link is not valid. Look the complaint up with your email instead.', 'error');
+        }
+    }
+
+    trackComplaint() {
+        const form = document.getElementById('track-form');
+        Validation.clearErrors(form);
+        const errors = Validation.validateForm(form);
+        if (Object.keys(errors).length > 0) {
+            Validation.displayErrors(errors);
+            return;
+        }
+
+        const credentials = {
+            id: document.getElementById('track-reference').value.trim().toUpperCase(),
+            email: document.getElementById('track-email').value
+        };
+        // The same message for an unknown reference and a wrong email, so references can't be probed
+        const ticket = this.state.findTicket(credentials.id);
+        if (!CustomerPortal.verify(ticket, credentials)) {
+            NotificationSystem.show('No complaint matches that reference and email', 'error');
+            return;
+        }
+        this.showCustomerStatus({ ...credentials, id: ticket.id });
+    }
+
+    showCustomerStatus(credentials) {
+        this.tracked = credentials;
+        this.renderCustomerStatus();
+    }
+
+    // Re-checks access on every render, so a changed email or token locks the page
+    getTrackedTicket() {
+        const ticket = this.tracked && this.state.findTicket(this.tracked.id);
+        return ticket && CustomerPortal.verify(ticket, this.tracked) ? ticket : null;
+    }
+
+    renderCustomerStatus() {
+        const card = document.getElementById('portal-status');
+        if (!card) return;
+
+        const ticket = this.getTrackedTicket();
+        card.classList.toggle('d-none', !ticket);
+        if (!ticket) return;
+
+        const view = CustomerPortal.publicView(ticket, this.state.repairers);
+        const slots = view.canBook ? CustomerPortal.slotOptions(ticket, this.state.repairers, this.state.tickets) : null;
+
+        card.querySelector('.card-header').innerHTML = `
+            <h5 class="card-title mb-0">Complaint ${Utils.sanitizeHtml(view.id)}</h5>
+            <div class="d-flex align-items-center gap-2">
+                <span class="badge ${Utils.getStatusBadgeClass(ticket.status)}">${Utils.sanitizeHtml(view.status)}</span>
+                <button type="button" id="portal-status-close" class="btn-close" aria-label="Close"></button>
+            </div>
+        `;
+        card.querySelector('.card-body').innerHTML = `
+            <p class="small text-muted mb-1">${Utils.sanitizeHtml(view.nature)} • received ${Utils.formatDate(view.createdAt)}</p>
+            <p class="small mb-3">${Utils.sanitizeHtml(view.description)}</p>
+
+            <h6 class="fw-semibold small">Progress</h6>
+            <ul class="list-unstyled portal-timeline mb-3">
+                ${view.timeline.map(entry => `
+                    <li>
+                        <div class="small fw-medium">${Utils.sanitizeHtml(entry.title)}</div>
+                        <div class="small text-muted">
+                            ${Utils.formatDate(entry.at)}${entry.detail ? ` • ${Utils.sanitizeHtml(entry.detail)}` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+
+            ${view.repair ? `
+                <div class="alert alert-success small py-2">
+                    Repair booked with ${Utils.sanitizeHtml(view.repair.repairer)} on ${Utils.sanitizeHtml(view.repair.date)},
+                    ${Utils.sanitizeHtml(view.repair.window)}${view.repair.contact ? ` (${Utils.sanitizeHtml(view.repair.contact)})` : ''}.
+                </div>
+            ` : ''}
+
+            ${slots ? `
+                <h6 class="fw-semibold small">${view.repair ? 'Change your repair slot' : 'Book your repair'}</h6>
+                ${slots.options.length ? `
+                    <p class="small text-muted mb-2">${Utils.sanitizeHtml(slots.repairer.name)} can come at:</p>
+                    <div class="d-flex flex-wrap gap-2 mb-3">
+                        ${slots.options.map(option => `
+                            <button type="button" class="btn btn-outline-primary btn-sm"
+                                    data-slot-date="${option.date}" data-slot-window="${option.window}">
+                                ${Utils.sanitizeHtml(option.date)} ${option.window}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : '<p class="small text-muted mb-3">No repair slots are free in the next two weeks. We will contact you to arrange one.</p>'}
+            ` : ''}
+
+            ${view.canUpload ? `
+                <label for="portal-upload" class="form-label small fw-semibold">Add photos or videos (${view.evidenceCount} so far)</label>
+                <input type="file" id="portal-upload" class="form-control form-control-sm" accept="image/*,video/*">
+            ` : ''}
+        `;
+    }
+
+    async uploadCustomerEvidence(file) {
+        const ticket = this.getTrackedTicket();
+        if (!ticket || !file || !CustomerPortal.canUpload(ticket)) return;
+
+        const kind = EvidencePolicy.mimeType(file).startsWith('video/') ? 'video' : 'image';
+        const evidence = await this.prepareEvidence(ticket, file, kind);
+        if (!evidence) return;
+
+        const listType = kind === 'video' ? 'complaint.videos' : 'complaint.images';
+        this.state.updateTicketAsCustomer(ticket.id, (next) => {
+            (kind === 'video' ? next.complaint.videos : next.complaint.images).push(evidence);
+            next.audit.push(AuditTrail.event('evidence.added', {
+                actor: 'customer',
+                path: listType,
+                to: evidence.name,
+                action: `Customer added ${kind} ${evidence.name}`
+            }));
+            return next;
+        });
+
+        NotificationSystem.show(`"${evidence.name}" added to your complaint`, 'success');
+    }
+
+    // Validates, de-duplicates and stores an uploaded file; returns the evidence record or null
+    async prepareEvidence(ticket, file, kind, takenAtInput) {
+        const validationError = EvidencePolicy.validate(file, kind);
+        if (validationError) {
+            NotificationSystem.show(validationError, 'error');
+            return null;
+        }
+
+        let hash;
+        try {
+            hash = await EvidencePolicy.hash(file);
+            const duplicate = EvidencePolicy.findDuplicate(this.state.getTicket(ticket.id) || ticket, hash);
+            if (duplicate) {
+                NotificationSystem.show(`This file is already attached as "${duplicate.name}"`, 'warning', 'Duplicate');
+                return null;
+            }
+            await this.state.storage.saveBlob(hash, file);
+        } catch (error) {
+            console.error('Failed to store evidence:', error);
+            NotificationSystem.show(`Could not store ${file.name}: ${error.message}`, 'error');
+            return null;
+        }
+
+        const exif = kind === 'image' ? await ExifReader.read(file) : null;
+        const takenAt = takenAtInput
+            ? new Date(takenAtInput).toISOString()
+            : exif?.takenAt || new Date().toISOString();
+
+        return {
+            id: Math.random().toString(36).substr(2, 8),
+            kind: kind,
+            name: file.name,
+            takenAt: kind === 'doc' ? undefined : takenAt,
+            mimeType: EvidencePolicy.mimeType(file),
+            size: file.size,
+            hash: hash,
+            exif: exif || undefined
+        };
+    }
+
+    bookCustomerSlot(date, window) {
+        const ticket = this.getTrackedTicket();
+        if (!ticket || !CustomerPortal.canBook(ticket)) return;
+
+        // Re-check against the latest bookings; another customer may have taken it meanwhile
+        const { repairer, options } = CustomerPortal.slotOptions(ticket, this.state.repairers, this.state.tickets);
+        if (!options.some(option => option.date === date && option.window === window)) {
+            NotificationSystem.show('That slot has just been taken. Please pick another.', 'warning');
+            this.renderCustomerStatus();
+            return;
+        }
+
+        this.state.updateTicketAsCustomer(ticket.id, (next) => {
+            next.admin.repair = {
+                ...next.admin.repair,
+                repairerId: repairer.id,
+                repairer: repairer.name,
+                scheduledDate: date,
+                scheduledWindow: window
+            };
+            return next;
+        }, { reason: 'Booked by the customer on the status page' });
+
+        NotificationSystem.show(`Repair booked for ${date}, ${window}`, 'success');
     }
 
     collectComplaintFormData() {
@@ -597,7 +6034,10 @@ class ComplaintsDeskApp {
             booking: {
                 reg: document.getElementById('vehicle-reg').value,
                 terminal: document.getElementById('terminal').value,
-                driverName: document.getElementById('driver-name').value
+                driverName: document.getElementById('driver-name').value,
+                bookingId: document.getElementById('booking-id').value || null,
+                arrivalAt: document.getElementById('booking-arrival').value || undefined,
+                returnAt: document.getElementById('booking-return').value || undefined
             },
             complaint: {
                 damageTypes: damageTypes,
@@ -608,9 +6048,11 @@ class ComplaintsDeskApp {
         };
     }
 
+    // The id is issued when the ticket is created, see AppState.createTicket()
     createTicketFromComplaint(data) {
         return {
-            id: Utils.generateTicketId(),
+            id: null,
+            schemaVersion: TicketSchema.CURRENT_VERSION,
             createdAt: new Date().toISOString(),
             nature: data.nature,
             informedTiming: data.informedTiming,
@@ -627,14 +6069,17 @@ class ComplaintsDeskApp {
                 supportingImages: [],
                 supportingVideos: [],
                 outcome: undefined,
-                repair: undefined
+                repair: undefined,
+                payout: Payout.empty()
             },
             status: 'New',
-            audit: [{
-                at: new Date().toISOString(),
-                who: 'customer',
+            assignee: null,
+            tracking: null,
+            links: [],
+            audit: [AuditTrail.event('ticket.created', {
+                actor: 'customer',
                 action: 'Ticket created via portal'
-            }]
+            })]
         };
     }
 
@@ -643,53 +6088,395 @@ class ComplaintsDeskApp {
         if (!ticketsList) return;
 
         const tickets = this.state.getFilteredTickets();
-        
-        if (tickets.length === 0) {
-            ticketsList.innerHTML = `
-                <div class="list-group-item text-center text-muted py-4">
-                    <i class="bi bi-inbox display-4 d-block mb-2"></i>
-                    No tickets found
-                </div>
-            `;
-            return;
+        const now = Date.now();
+        const searchWords = TicketQuery.parse(this.state.searchQuery).text;
+
+        if (!this.ticketList) {
+            this.ticketList = new VirtualList(ticketsList, {
+                getKey: (ticket) => ticket.id,
+                emptyHtml: `
+                    <div class="list-group-item text-center text-muted py-4">
+                        <i class="bi bi-inbox display-4 d-block mb-2"></i>
+                        No tickets found
+                    </div>
+                `
+            });
         }
 
-        ticketsList.innerHTML = tickets.map(ticket => `
+        // Rows render lazily as they scroll into view, so the closure reads current state. Rows from
+        // a server page show the local copy where there is one, so edits appear straight away.
+        this.ticketList.renderRow = (item) => {
+            const ticket = this.state.getTicket(item.id) || item;
+            return `
             <div class="list-group-item list-group-item-action tickets-list-item ${ticket.id === this.state.activeTicketId ? 'active' : ''}"
-                 data-ticket-id="${ticket.id}" role="button" tabindex="0">
-                <div class="d-flex justify-content-between align-items-center mb-1">
-                    <span class="fw-medium">${Utils.sanitizeHtml(ticket.id)}</span>
+                 data-ticket-id="${Utils.sanitizeHtml(ticket.id)}" role="button" tabindex="0">
+                <div class="d-flex justify-content-between align-items-center gap-1 mb-1">
+                    <span class="fw-medium me-auto">${Utils.sanitizeHtml(ticket.id)}</span>
+                    ${this.renderSlaBadge(SlaPolicy.evaluate(ticket, this.state.slaSettings, now))}
                     <span class="badge ${Utils.getStatusBadgeClass(ticket.status)}">${Utils.sanitizeHtml(ticket.status)}</span>
                 </div>
-                <div class="small text-muted mb-1">
+                <div class="small text-muted mb-1 text-truncate">
                     ${Utils.sanitizeHtml(ticket.customer.name)} • ${Utils.sanitizeHtml(ticket.booking?.reg || 'no reg')}
                 </div>
-                <div class="small text-muted">
+                <div class="small text-muted text-truncate">
                     ${Utils.formatDate(ticket.createdAt)} • ${Utils.sanitizeHtml(ticket.nature)}
+                    ${ticket.assignee ? `• <i class="bi bi-person"></i> ${Utils.sanitizeHtml(Assignment.userName(ticket.assignee, this.state.users))}` : ''}
                 </div>
+                ${searchWords.length ? `<div class="small search-snippet">${this.state.searchIndex.snippet(ticket, searchWords)}</div>` : ''}
             </div>
+        `;
+        };
+
+        const rowHeight = searchWords.length ? 128 : 104;
+        if (this.state.api) {
+            this.renderServerTicketsList(rowHeight);
+            return;
+        }
+        this.ticketList.setItems(tickets, { rowHeight });
+    }
+
+    // With a server the list is filtered and ordered there and arrives a page at a time: the first
+    // page now, the rest as placeholders scroll into view. A new search, order or ticket count
+    // starts a fresh list.
+    renderServerTicketsList(rowHeight) {
+        const query = this.state.serverQuery();
+        const sort = this.state.sortOrder;
+        const key = JSON.stringify([query, sort, this.state.tickets.length]);
+        if (this.serverList?.key !== key) {
+            this.serverList = { key, query, sort, items: [], total: 0, pages: new Set() };
+            this.loadServerPage(this.serverList, 1).catch(error => this.state.notify('syncError', error));
+        }
+
+        const list = this.serverList;
+        this.ticketList.setItems(list.items, {
+            total: list.total,
+            rowHeight,
+            loadRange: async (start, end) => {
+                const first = Math.floor(start / TicketsApi.pageSize) + 1;
+                const last = Math.ceil(end / TicketsApi.pageSize);
+                for (let page = first; page <= last; page++) await this.loadServerPage(list, page);
+            }
+        });
+    }
+
+    async loadServerPage(list, page) {
+        if (list.pages.has(page)) return;
+        list.pages.add(page);
+
+        let result;
+        try {
+            result = await this.state.api.listPage({ page, query: list.query, sort: list.sort });
+        } catch (error) {
+            list.pages.delete(page);
+            throw error;
+        }
+        const offset = (page - 1) * TicketsApi.pageSize;
+        result.tickets.forEach((ticket, index) => {
+            list.items[offset + index] = ticket;
+        });
+        list.total = result.total;
+        if (this.serverList === list) this.renderTicketsList();
+    }
+
+    // Set the query (and optionally sort order) from code, keeping the search box in step
+    applySearch(query, sortOrder) {
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = query;
+        this.state.setState('searchQuery', query);
+        if (sortOrder) this.state.setState('sortOrder', sortOrder);
+    }
+
+    renderFilterChips() {
+        const container = document.getElementById('filter-chips');
+        if (!container) return;
+
+        const { terms, text } = TicketQuery.parse(this.state.searchQuery);
+        const myTickets = document.getElementById('my-tickets-toggle');
+        if (myTickets) {
+            const mine = terms.some(term => term.key === 'assignee' && !term.negate && term.options?.includes('me'));
+            myTickets.classList.toggle('active', mine);
+            myTickets.setAttribute('aria-pressed', String(mine));
+        }
+
+        const chips = [
+            ...terms.map(term => ({
+                raw: term.raw,
+                label: `${term.negate ? 'not ' : ''}${term.key}: ${term.value}`,
+                error: term.error
+            })),
+            ...TicketQuery.tokenize(this.state.searchQuery)
+                .filter(raw => !/^-?\w+:/.test(raw) && text.length)
+                .map(raw => ({ raw, label: `"${raw.replace(/"/g, '')}"` }))
+        ];
+
+        container.innerHTML = chips.map(chip => `
+            <span class="filter-chip ${chip.error ? 'filter-chip-error' : ''}" title="${Utils.sanitizeHtml(chip.error || '')}">
+                ${Utils.sanitizeHtml(chip.label)}
+                <button type="button" class="btn-close btn-close-sm" data-term="${Utils.sanitizeHtml(chip.raw)}" aria-label="Remove filter ${Utils.sanitizeHtml(chip.label)}"></button>
+            </span>
         `).join('');
+        container.classList.toggle('d-none', chips.length === 0);
+    }
+
+    renderSavedViews() {
+        const select = document.getElementById('saved-views');
+        if (!select) return;
+
+        const views = this.state.getSavedViews();
+        const current = views.find(view => view.query === this.state.searchQuery);
+        select.innerHTML = `
+            <option value="">Saved views…</option>
+            ${views.map(view => `<option value="${Utils.sanitizeHtml(view.id)}">${Utils.sanitizeHtml(view.name)}</option>`).join('')}
+        `;
+        select.value = current?.id || '';
+    }
+
+    saveCurrentView() {
+        const query = this.state.searchQuery.trim();
+        if (!query) {
+            NotificationSystem.show('Type a search or filter before saving a view', 'warning');
+            return;
+        }
+
+        const name = prompt('Name this view', query);
+        if (!name?.trim()) return;
+
+        const views = this.state.getSavedViews().filter(view => view.name !== name.trim());
+        views.push({ id: `view-${Date.now().toString(36)}`, name: name.trim(), query, sortOrder: this.state.sortOrder });
+        this.state.setSavedViews(views);
+        NotificationSystem.show(`View "${name.trim()}" saved`, 'success');
+    }
+
+    deleteSelectedView() {
+        const select = document.getElementById('saved-views');
+        const view = this.state.getSavedViews().find(v => v.id === select?.value);
+        if (!view) {
+            NotificationSystem.show('Choose a saved view to delete', 'warning');
+            return;
+        }
+
+        this.state.setSavedViews(this.state.getSavedViews().filter(v => v.id !== view.id));
+        NotificationSystem.show(`View "${view.name}" deleted`, 'success');
+    }
+
+    renderSlaBadge(sla) {
+        if (!sla) return '';
+        return `
+            <span class="badge sla-badge sla-${sla.state}" title="Due ${Utils.formatDate(new Date(sla.dueAt).toISOString())}">
+                <i class="bi bi-stopwatch me-1"></i>${SlaPolicy.formatRemaining(sla.remainingMs)}
+            </span>
+        `;
+    }
+
+    // Append a system audit entry to every ticket that has newly breached its SLA
+    checkSlaBreaches() {
+        const now = Date.now();
+        this.state.getState('tickets').forEach(ticket => {
+            const sla = SlaPolicy.evaluate(ticket, this.state.slaSettings, now);
+            if (sla?.state !== 'breached' || SlaPolicy.hasRecordedBreach(ticket, sla)) return;
+
+            this.state.appendAuditEvent(ticket.id, AuditTrail.event('sla.breached', {
+                at: new Date(now).toISOString(),
+                actor: 'system',
+                action: `SLA breached: ${ticket.status} target ${sla.targetHours}h`
+            }));
+        });
+    }
+
+    renderRepairerDirectory() {
+        const table = document.getElementById('repairer-directory-table');
+        if (!table) return;
+
+        table.innerHTML = `
+            <thead>
+                <tr><th>Repairer</th><th>Services</th><th>Coverage</th><th>Days</th><th class="text-end">Jobs/day</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${this.state.repairers.map(repairer => `
+                    <tr>
+                        <td>
+                            ${Utils.sanitizeHtml(repairer.name)}
+                            <div class="small text-muted">${Utils.sanitizeHtml([repairer.phone, repairer.email].filter(Boolean).join(' • '))}</div>
+                        </td>
+                        <td class="small">${Utils.sanitizeHtml(repairer.services.join(', '))}</td>
+                        <td class="small">${Utils.sanitizeHtml(repairer.coverage.join(', ') || 'Anywhere')}</td>
+                        <td class="small">${repairer.workingDays.map(day => RepairerDirectory.weekdays[day]).join(' ')}</td>
+                        <td class="text-end">${repairer.capacityPerDay}</td>
+                        <td class="text-end text-nowrap">
+                            <button type="button" class="btn btn-link btn-sm p-0 me-2" data-edit-repairer="${Utils.sanitizeHtml(repairer.id)}">Edit</button>
+                            <button type="button" class="btn btn-link btn-sm p-0 text-danger" data-remove-repairer="${Utils.sanitizeHtml(repairer.id)}">Remove</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        const services = document.getElementById('repairer-services');
+        if (services && !services.children.length) {
+            services.innerHTML = RepairerDirectory.services.map((service, i) => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="repairer-service-${i}" value="${service}">
+                    <label class="form-check-label small" for="repairer-service-${i}">${service}</label>
+                </div>
+            `).join('');
+        }
+
+        const days = document.getElementById('repairer-days');
+        if (days && !days.children.length) {
+            days.innerHTML = RepairerDirectory.weekdays.map((day, i) => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="repairer-day-${i}" value="${i}">
+                    <label class="form-check-label small" for="repairer-day-${i}">${day}</label>
+                </div>
+            `).join('');
+        }
+    }
+
+    editRepairer(repairerId) {
+        const repairer = RepairerDirectory.find(this.state.repairers, repairerId);
+        const form = document.getElementById('repairer-form');
+        if (!form) return;
+
+        form.reset();
+        document.getElementById('repairer-id').value = repairer?.id || '';
+        if (!repairer) return;
+
+        document.getElementById('repairer-name').value = repairer.name;
+        document.getElementById('repairer-coverage').value = repairer.coverage.join(', ');
+        document.getElementById('repairer-capacity').value = repairer.capacityPerDay;
+        document.getElementById('repairer-phone').value = repairer.phone || '';
+        document.getElementById('repairer-email').value = repairer.email || '';
+        document.querySelectorAll('#repairer-services input').forEach(input => {
+            input.checked = repairer.services.includes(input.value);
+        });
+        document.querySelectorAll('#repairer-days input').forEach(input => {
+            input.checked = repairer.workingDays.includes(Number(input.value));
+        });
+        document.getElementById('repairer-name').focus();
+    }
+
+    saveRepairer() {
+        const form = document.getElementById('repairer-form');
+        Validation.clearErrors(form);
+        const errors = Validation.validateForm(form);
+        const services = Array.from(document.querySelectorAll('#repairer-services input:checked')).map(input => input.value);
+        const workingDays = Array.from(document.querySelectorAll('#repairer-days input:checked')).map(input => Number(input.value));
+        if (services.length === 0) errors['repairer-services'] = 'Pick at least one service';
+        if (workingDays.length === 0) errors['repairer-days'] = 'Pick at least one working day';
+        if (Object.keys(errors).length > 0) {
+            Validation.displayErrors(errors);
+            return;
+        }
+
+        const id = document.getElementById('repairer-id').value || `r-${Math.random().toString(36).substr(2, 6)}`;
+        const repairer = {
+            id,
+            name: document.getElementById('repairer-name').value.trim(),
+            services,
+            coverage: document.getElementById('repairer-coverage').value.toUpperCase().split(/[\s,]+/).filter(Boolean),
+            capacityPerDay: Math.max(1, parseInt(document.getElementById('repairer-capacity').value) || 1),
+            workingDays,
+            phone: document.getElementById('repairer-phone').value.trim(),
+            email: document.getElementById('repairer-email').value.trim()
+        };
+
+        const exists = this.state.repairers.some(r => r.id === id);
+        this.state.setState('repairers', exists
+            ? this.state.repairers.map(r => r.id === id ? repairer : r)
+            : [...this.state.repairers, repairer]);
+        this.editRepairer(null);
+        NotificationSystem.show(`${repairer.name} saved`, 'success');
+    }
+
+    removeRepairer(repairerId) {
+        const repairer = RepairerDirectory.find(this.state.repairers, repairerId);
+        const booked = this.state.tickets.filter(ticket =>
+            ticket.admin.repair?.repairerId === repairerId && !['Resolved', 'Rejected'].includes(ticket.status));
+        if (booked.length > 0) {
+            NotificationSystem.show(`${repairer.name} still has bookings on ${booked.map(t => t.id).join(', ')}`, 'error');
+            return;
+        }
+
+        this.state.setState('repairers', this.state.repairers.filter(r => r.id !== repairerId));
+        NotificationSystem.show(`${repairer.name} removed`, 'info');
+    }
+
+    renderAssignmentSettings() {
+        const select = document.getElementById('assignment-strategy');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(Assignment.strategies)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        select.value = this.state.assignmentSettings.strategy;
+    }
+
+    renderNumberingSettings() {
+        const select = document.getElementById('ticket-number-format');
+        if (!select) return;
 
-        // Add click handlers
-        ticketsList.addEventListener('click', (e) => {
-            const ticketItem = e.target.closest('.tickets-list-item');
-            if (ticketItem) {
-                const ticketId = ticketItem.dataset.ticketId;
-                this.state.setState('activeTicketId', ticketId);
-            }
-        });
+        select.innerHTML = Object.entries(TicketNumbering.formats)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        select.value = this.state.numberingSettings.format;
+        // With a server, the server numbers new tickets in its own format
+        select.disabled = Boolean(this.state.api);
+        select.title = this.state.api ? 'Ticket ids are issued by the server' : '';
+    }
 
-        // Add keyboard navigation
-        ticketsList.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                const ticketItem = e.target.closest('.tickets-list-item');
-                if (ticketItem) {
-                    const ticketId = ticketItem.dataset.ticketId;
-                    this.state.setState('activeTicketId', ticketId);
-                }
+    renderSlaSettings() {
+        const table = document.getElementById('sla-settings-table');
+        if (!table) return;
+
+        const settings = this.state.slaSettings;
+        const cell = (status, nature) => {
+            const value = nature
+                ? settings.natureOverrides?.[nature]?.[status] ?? ''
+                : settings.targets?.[status] ?? '';
+            return `
+                <td>
+                    <input type="number" min="0" step="0.5" class="form-control form-control-sm"
+                           data-status="${status}" data-nature="${nature}" value="${value}"
+                           placeholder="${nature ? 'default' : 'off'}" aria-label="${status} ${nature || 'default'} target hours">
+                </td>
+            `;
+        };
+
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Status</th>
+                    <th>Default (h)</th>
+                    ${SlaPolicy.natures.map(nature => `<th>${Utils.sanitizeHtml(nature)} (h)</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${SlaPolicy.trackedStatuses.map(status => `
+                    <tr>
+                        <th class="fw-medium">${Utils.sanitizeHtml(status)}</th>
+                        ${cell(status, '')}
+                        ${SlaPolicy.natures.map(nature => cell(status, nature)).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    saveSlaSettings() {
+        const settings = { targets: {}, natureOverrides: {} };
+
+        document.querySelectorAll('#sla-settings-table input').forEach(input => {
+            const hours = parseFloat(input.value);
+            if (!(hours > 0)) return;
+
+            const { status, nature } = input.dataset;
+            if (nature) {
+                settings.natureOverrides[nature] = { ...settings.natureOverrides[nature], [status]: hours };
+            } else {
+                settings.targets[status] = hours;
             }
         });
+
+        this.state.setState('slaSettings', settings);
+        NotificationSystem.show('SLA targets saved', 'success');
     }
 
     renderTicketDetails() {
@@ -707,10 +6494,15 @@ class ComplaintsDeskApp {
         if (noTicketSelected) noTicketSelected.classList.add('d-none');
 
         this.updateTicketOverview(activeTicket);
+        this.updateOwnership(activeTicket);
+        this.updateRelatedTickets(activeTicket);
         this.updateEvidenceSection(activeTicket);
+        this.updateRiskAssessment(activeTicket);
         this.updateOutcomeSection(activeTicket);
+        this.updateWorkflowControls(activeTicket);
         this.updateRepairSection(activeTicket);
         this.updateAuditLog(activeTicket);
+        this.updateChangeHistory(activeTicket);
     }
 
     updateTicketOverview(ticket) {
@@ -740,7 +6532,12 @@ class ComplaintsDeskApp {
             bookingInfo.innerHTML = `
                 <div>Reg: ${Utils.sanitizeHtml(ticket.booking?.reg || 'n/a')}</div>
                 <div>Terminal: ${Utils.sanitizeHtml(ticket.booking?.terminal || 'n/a')}</div>
-                <div>Driver: ${Utils.sanitizeHtml(ticket.booking?.driverName || 'n/a')}</div>
+                <div>Driver: ${Utils.sanitizeHtml(ticket.booking?.driverName || 'n/a')}${this.renderRepeatDamageBadge(ticket)}</div>
+                <div>Booking: ${ticket.booking?.bookingId
+                    ? Utils.sanitizeHtml(ticket.booking.bookingId)
+                    : '<span class="text-warning">no matching booking</span>'}</div>
+                ${ticket.booking?.arrivalAt ? `<div>Handed over: ${Utils.formatDate(ticket.booking.arrivalAt)}</div>` : ''}
+                ${ticket.booking?.returnAt ? `<div>Returned: ${Utils.formatDate(ticket.booking.returnAt)}</div>` : ''}
             `;
         }
 
@@ -765,17 +6562,98 @@ class ComplaintsDeskApp {
         }
     }
 
+    updateRelatedTickets(ticket) {
+        const container = document.getElementById('related-tickets');
+        if (!container) return;
+
+        const session = this.state.session;
+        const canLink = AccessControl.can(session, 'ticket.edit');
+        const canMerge = canLink && AccessControl.can(session, 'ticket.status') && AccessControl.can(session, 'outcome.decide');
+        const ticketLink = (id) => `<a href="#" data-open-ticket="${Utils.sanitizeHtml(id)}">${Utils.sanitizeHtml(id)}</a>`;
+        const statusBadge = (id) => {
+            const status = this.state.getTicket(id)?.status;
+            return status ? `<span class="badge ${Utils.getStatusBadgeClass(status)}">${Utils.sanitizeHtml(status)}</span>` : '';
+        };
+
+        const links = (ticket.links || []).map(link => `
+            <li class="d-flex align-items-center gap-2 mb-1">
+                <span class="text-muted">${DuplicateDetection.relations[link.relation] || link.relation}</span>
+                ${ticketLink(link.id)} ${statusBadge(link.id)}
+            </li>
+        `).join('');
+
+        // A ticket merged away is finished with; duplicates are looked for from the one it went into
+        const candidates = DuplicateDetection.mergedInto(ticket) ? [] : DuplicateDetection.candidates(ticket, this.state.tickets);
+        const duplicates = candidates.map(candidate => {
+            const blocker = DuplicateDetection.mergeBlocker(ticket, candidate.ticket);
+            const id = Utils.sanitizeHtml(candidate.ticket.id);
+            return `
+                <li class="possible-duplicate">
+                    <div class="d-flex align-items-center gap-2">
+                        ${ticketLink(candidate.ticket.id)} ${statusBadge(candidate.ticket.id)}
+                        <span class="text-muted text-truncate me-auto">${Utils.sanitizeHtml(candidate.ticket.customer.name)}</span>
+                        <button type="button" class="btn btn-outline-secondary btn-sm" data-link-ticket="${id}" ${canLink ? '' : 'disabled'}>Link</button>
+                        <button type="button" class="btn btn-outline-primary btn-sm" data-merge-ticket="${id}"
+                                title="${Utils.sanitizeHtml(blocker || `Move ${candidate.ticket.id}'s evidence and history here and close it`)}"
+                                ${canMerge && !blocker ? '' : 'disabled'}>Merge here</button>
+                    </div>
+                    <div class="text-muted">${Utils.sanitizeHtml(DuplicateDetection.describe(candidate))}</div>
+                </li>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            ${links ? `<ul class="list-unstyled small mb-2">${links}</ul>` : ''}
+            ${duplicates ? `
+                <h6 class="text-muted small mb-2"><i class="bi bi-files me-1"></i>Possible duplicates</h6>
+                <ul class="list-unstyled small mb-0">${duplicates}</ul>
+            ` : ''}
+            ${!links && !duplicates ? '<div class="small text-muted">No related tickets</div>' : ''}
+        `;
+    }
+
+    // The open ticket is kept; the duplicate hands over its evidence and history and is closed
+    mergeDuplicate(duplicateId) {
+        const primary = this.state.getActiveTicket();
+        const duplicate = this.state.getTicket(duplicateId);
+        if (!primary || !duplicate) return;
+
+        const blocker = DuplicateDetection.mergeBlocker(primary, duplicate);
+        if (blocker) {
+            NotificationSystem.show(blocker, 'error');
+            return;
+        }
+
+        const reason = `Merged ${duplicate.id} into ${primary.id}`;
+        if (!this.state.updateTickets([
+            { ticketId: primary.id, updater: (ticket) => DuplicateDetection.absorb(ticket, duplicate) },
+            { ticketId: duplicate.id, updater: (ticket) => DuplicateDetection.close(ticket, primary.id) }
+        ], { reason })) return;
+        NotificationSystem.show(reason, 'success');
+    }
+
+    linkRelatedTicket(otherId) {
+        const ticket = this.state.getActiveTicket();
+        if (!ticket || !this.state.getTicket(otherId)) return;
+
+        if (!this.state.updateTickets([
+            { ticketId: ticket.id, updater: (current) => DuplicateDetection.relate(current, otherId) },
+            { ticketId: otherId, updater: (other) => DuplicateDetection.relate(other, ticket.id) }
+        ])) return;
+        NotificationSystem.show(`Linked ${ticket.id} and ${otherId}`, 'success');
+    }
+
     updateEvidenceSection(ticket) {
         // Update customer images
-        this.updateEvidenceList('customer-images', ticket.complaint.images);
+        this.updateEvidenceList('customer-images', ticket.complaint.images, ticket);
         
         // Update customer videos
-        this.updateEvidenceList('customer-videos', ticket.complaint.videos);
+        this.updateEvidenceList('customer-videos', ticket.complaint.videos, ticket);
         
         // Update supporting evidence
-        this.updateEvidenceList('supporting-images', ticket.admin.supportingImages);
-        this.updateEvidenceList('supporting-videos', ticket.admin.supportingVideos);
-        this.updateEvidenceList('supporting-docs', ticket.admin.supportingDocs);
+        this.updateEvidenceList('supporting-images', ticket.admin.supportingImages, ticket);
+        this.updateEvidenceList('supporting-videos', ticket.admin.supportingVideos, ticket);
+        this.updateEvidenceList('supporting-docs', ticket.admin.supportingDocs, ticket);
 
         // Update findings textarea
         const findingsText = document.getElementById('findings-text');
@@ -784,7 +6662,7 @@ class ComplaintsDeskApp {
         }
     }
 
-    updateEvidenceList(containerId, evidenceList) {
+    updateEvidenceList(containerId, evidenceList, ticket) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
@@ -795,10 +6673,215 @@ class ComplaintsDeskApp {
 
         container.innerHTML = evidenceList.map(evidence => `
             <div class="evidence-item">
+                ${this.renderEvidencePreview(evidence)}
                 <div class="small fw-medium">${Utils.sanitizeHtml(evidence.name)}</div>
                 ${evidence.takenAt ? `<div class="small text-muted">Taken: ${Utils.formatDate(evidence.takenAt)}</div>` : ''}
+                ${this.renderExifDetails(evidence)}
+                ${EvidenceChecks.flags(evidence, ticket).map(flag => `
+                    <div class="small evidence-flag"><i class="bi bi-exclamation-triangle-fill me-1"></i>${Utils.sanitizeHtml(flag)}</div>
+                `).join('')}
             </div>
         `).join('');
+
+        this.loadEvidenceBlobs(container);
+    }
+
+    renderExifDetails(evidence) {
+        const exif = evidence.exif;
+        if (!exif) return '';
+
+        const details = [
+            exif.takenAt ? `EXIF: ${Utils.formatDate(exif.takenAt)}` : null,
+            exif.camera ? Utils.sanitizeHtml(exif.camera) : null,
+            exif.gps ? `GPS ${exif.gps.lat.toFixed(5)}, ${exif.gps.lon.toFixed(5)}` : null
+        ].filter(Boolean);
+        return details.length ? `<div class="small text-muted">${details.join(' • ')}</div>` : '';
+    }
+
+    renderEvidencePreview(evidence) {
+        if (!evidence.hash) return '';
+
+        const key = Utils.sanitizeHtml(evidence.hash);
+        if (evidence.kind === 'image') {
+            return `
+                <button type="button" class="evidence-thumb-button" data-lightbox="${key}" aria-label="View ${Utils.sanitizeHtml(evidence.name)}">
+                    <img class="evidence-thumb" data-blob-key="${key}" alt="${Utils.sanitizeHtml(evidence.name)}">
+                </button>
+            `;
+        }
+        if (evidence.kind === 'video') {
+            return `<video class="evidence-video" data-blob-key="${key}" controls preload="metadata"></video>`;
+        }
+        return `<a class="small" data-blob-key="${key}" download="${Utils.sanitizeHtml(evidence.name)}"><i class="bi bi-download me-1"></i>Download</a>`;
+    }
+
+    async getBlobUrl(key) {
+        if (!this.blobUrls.has(key)) {
+            const blob = await this.state.storage.getBlob(key);
+            this.blobUrls.set(key, blob ? URL.createObjectURL(blob) : null);
+        }
+        return this.blobUrls.get(key);
+    }
+
+    async loadEvidenceBlobs(container) {
+        const elements = container.querySelectorAll('[data-blob-key]');
+        for (const element of elements) {
+            try {
+                const url = await this.getBlobUrl(element.dataset.blobKey);
+                if (!url) {
+                    element.replaceWith(Object.assign(document.createElement('div'), {
+                        className: 'small text-muted',
+                        textContent: 'File not available on this device'
+                    }));
+                } else if (element.tagName === 'A') {
+                    element.href = url;
+                } else {
+                    element.src = url;
+                }
+            } catch (error) {
+                console.error('Failed to load evidence file:', error);
+            }
+        }
+    }
+
+    async exportClaimPack(format) {
+        const activeTicket = this.state.getActiveTicket();
+        if (!activeTicket) return;
+
+        const pack = ClaimPack.build(activeTicket);
+        const images = new Map();
+        const imageHashes = pack.sections
+            .flatMap(section => section.evidence || [])
+            .filter(item => item.kind === 'image' && item.hash)
+            .map(item => item.hash);
+
+        try {
+            if (format === 'pdf') {
+                for (const hash of imageHashes) {
+                    const blob = await this.state.storage.getBlob(hash);
+                    if (blob && ['image/jpeg', 'image/png'].includes(blob.type)) {
+                        images.set(hash, await ClaimPack.blobToDataUrl(blob));
+                    }
+                }
+                ClaimPack.renderPdf(pack, images);
+            } else {
+                for (const hash of imageHashes) {
+                    const url = await this.getBlobUrl(hash);
+                    if (url) images.set(hash, url);
+                }
+                ClaimPack.openPrintable(pack, images);
+            }
+        } catch (error) {
+            console.error('Claim pack export failed:', error);
+            NotificationSystem.show(error.message, 'error', 'Export failed');
+        }
+    }
+
+    async previewImport(file) {
+        const options = {
+            formRules: Validation.fieldRules(document.getElementById('complaint-form')),
+            existingIds: new Set(this.state.getState('tickets').map(ticket => ticket.id)),
+            createTicket: (data) => this.createTicketFromComplaint(data),
+            source: file.name
+        };
+
+        try {
+            const text = await Utils.readFileAsText(file);
+            let unknownColumns = [];
+            if (/\.json$/i.test(file.name)) {
+                this.pendingImport = TicketTransfer.planJson(text, options);
+            } else {
+                const parsed = TicketTransfer.parseCsv(text);
+                unknownColumns = parsed.unknownColumns;
+                this.pendingImport = TicketTransfer.plan(parsed.rows, options);
+            }
+            this.renderImportReport(file.name, this.pendingImport, unknownColumns);
+        } catch (error) {
+            console.error('Import failed:', error);
+            NotificationSystem.show(`Could not read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    renderImportReport(fileName, { accepted, rejected }, unknownColumns) {
+        const modal = document.getElementById('import-report-modal');
+        const summary = document.getElementById('import-report-summary');
+        const rows = document.getElementById('import-report-rows');
+        const confirm = document.getElementById('import-confirm');
+        if (!modal || !summary || !rows || !confirm) return;
+
+        summary.innerHTML = `
+            <div><strong>${Utils.sanitizeHtml(fileName)}</strong>: ${accepted.length} accepted, ${rejected.length} rejected. Nothing has been imported yet.</div>
+            ${unknownColumns.length ? `<div class="text-warning">Ignored columns: ${Utils.sanitizeHtml(unknownColumns.join(', '))}</div>` : ''}
+        `;
+        rows.innerHTML = [
+            ...rejected.map(row => `
+                <tr class="table-danger">
+                    <td>${row.line}</td>
+                    <td>${Utils.sanitizeHtml(row.id || '—')}</td>
+                    <td>Rejected</td>
+                    <td>${row.errors.map(error => `<div>${Utils.sanitizeHtml(error)}</div>`).join('')}</td>
+                </tr>
+            `),
+            ...accepted.map(({ line, ticket }) => `
+                <tr>
+                    <td>${line}</td>
+                    <td>${ticket.id ? Utils.sanitizeHtml(ticket.id) : '<span class="text-muted">new</span>'}</td>
+                    <td>Accepted</td>
+                    <td>${Utils.sanitizeHtml(ticket.customer.name)} • ${Utils.sanitizeHtml(ticket.nature)}</td>
+                </tr>
+            `)
+        ].join('');
+
+        confirm.disabled = accepted.length === 0;
+        confirm.textContent = `Import ${accepted.length} ticket${accepted.length === 1 ? '' : 's'}`;
+        bootstrap.Modal.getOrCreateInstance(modal).show();
+    }
+
+    // Local ids are all issued before any ticket is added, so a failed numbering imports nothing.
+    // A server numbers each create itself; rows leave the pending import as they are created, so
+    // confirming again after a failure only sends the rest.
+    async confirmImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        const confirm = document.getElementById('import-confirm');
+        if (confirm) confirm.disabled = true;
+        const count = pending.accepted.length;
+        try {
+            if (!this.state.api) {
+                await this.state.issueTicketIds(pending.accepted.map(({ ticket }) => ticket));
+            }
+            while (pending.accepted.length > 0) {
+                await this.state.createTicket(pending.accepted[0].ticket);
+                pending.accepted.shift();
+            }
+        } finally {
+            if (confirm) confirm.disabled = pending.accepted.length === 0;
+        }
+        this.pendingImport = null;
+
+        const modal = document.getElementById('import-report-modal');
+        if (modal) bootstrap.Modal.getOrCreateInstance(modal).hide();
+        NotificationSystem.show(`${count} ticket${count === 1 ? '' : 's'} imported`, 'success');
+    }
+
+    exportTickets(format) {
+        const tickets = this.state.getFilteredTickets();
+        const stamp = new Date().toISOString().split('T')[0];
+        if (format === 'json') {
+            Utils.downloadFile(`tickets-${stamp}.json`, TicketTransfer.toJson(tickets), 'application/json');
+        } else {
+            Utils.downloadFile(`tickets-${stamp}.csv`, TicketTransfer.toCsv(tickets), 'text/csv');
+        }
+    }
+
+    async openLightbox(key) {
+        const lightbox = document.getElementById('evidence-lightbox');
+        const image = document.getElementById('evidence-lightbox-image');
+        if (!lightbox || !image) return;
+
+        image.src = await this.getBlobUrl(key) || '';
+        bootstrap.Modal.getOrCreateInstance(lightbox).show();
     }
 
     updateOutcomeSection(ticket) {
@@ -833,11 +6916,65 @@ class ComplaintsDeskApp {
         if (customerScheduling) {
             customerScheduling.classList.toggle('d-none', !ticket.admin.outcome?.liabilityAccepted);
         }
+
+        // Only offer the controls the signed-in role may change
+        const session = this.state.session;
+        const canEdit = AccessControl.can(session, 'ticket.edit');
+        const canDecide = AccessControl.can(session, 'outcome.decide');
+        const findingsText = document.getElementById('findings-text');
+        if (findingsText) findingsText.disabled = !canEdit;
+        document.querySelectorAll('#ticket-details [onclick^="addEvidence"]').forEach(button => {
+            button.disabled = !canEdit;
+        });
+        [decisionSelect, solutionText, rejectReason].forEach(field => {
+            if (field) field.disabled = !canDecide;
+        });
+        if (falseClaimFlag) {
+            falseClaimFlag.disabled = !AccessControl.can(session, 'outcome.falseClaim');
+            falseClaimFlag.title = falseClaimFlag.disabled ? 'Supervisors only' : '';
+        }
+        if (liabilityAccepted) {
+            liabilityAccepted.disabled = !AccessControl.can(session, 'outcome.liability');
+            liabilityAccepted.title = liabilityAccepted.disabled ? 'Supervisors only' : '';
+        }
+    }
+
+    updateWorkflowControls(ticket) {
+        const hints = [];
+
+        const canChangeStatus = AccessControl.can(this.state.session, 'ticket.status');
+        document.querySelectorAll('#status-actions [data-status]').forEach(button => {
+            const { allowed, reasons } = TicketWorkflow.check(ticket, button.dataset.status);
+            button.disabled = !allowed || !canChangeStatus;
+            button.title = reasons.join('; ');
+
+            // Only explain moves the workflow permits but a precondition blocks
+            if (!allowed && (TicketWorkflow.transitions[ticket.status] || []).includes(button.dataset.status)) {
+                hints.push(`${button.textContent.trim()}: ${reasons.join('; ')}`);
+            }
+        });
+
+        const decisionSelect = document.getElementById('decision-select');
+        if (decisionSelect) {
+            const currentDecision = ticket.admin.outcome?.decision || ticket.status;
+            Array.from(decisionSelect.options).forEach(option => {
+                option.disabled = option.value !== currentDecision && option.value !== ticket.status &&
+                    !TicketWorkflow.check(ticket, option.value).allowed;
+            });
+        }
+
+        const workflowHint = document.getElementById('workflow-hint');
+        if (workflowHint) {
+            workflowHint.innerHTML = hints.map(hint => `<div>${Utils.sanitizeHtml(hint)}</div>`).join('');
+            workflowHint.classList.toggle('d-none', hints.length === 0);
+        }
     }
 
     updateRepairSection(ticket) {
+        this.renderRepairBookingOptions(ticket);
+
         const repairFields = {
-            'repairer': ticket.admin.repair?.repairer || '',
+            'repairer': ticket.admin.repair?.repairerId || (ticket.admin.repair?.repairer ? 'legacy' : ''),
             'claim-amount': ticket.admin.repair?.claimAmount || '',
             'timeframe-days': ticket.admin.repair?.timeframeDays || '',
             'scheduled-date': Utils.formatDateForInput(ticket.admin.repair?.scheduledDate) || '',
@@ -847,6 +6984,7 @@ class ComplaintsDeskApp {
             'power-available': ticket.admin.repair?.powerAvailable || false
         };
 
+        const canEditRepair = AccessControl.can(this.state.session, 'repair.edit');
         Object.entries(repairFields).forEach(([fieldId, value]) => {
             const field = document.getElementById(fieldId);
             if (field) {
@@ -855,33 +6993,259 @@ class ComplaintsDeskApp {
                 } else {
                     field.value = value;
                 }
+                field.disabled = !canEditRepair;
+            }
+        });
+
+        const canBook = Boolean(ticket.admin.repair?.repairerId && ticket.admin.repair.scheduledDate && ticket.admin.repair.scheduledWindow);
+        ['repair-ics-customer', 'repair-ics-repairer'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !canBook;
+        });
+
+        // Claim total is derived from the payout quote
+        const claimAmount = document.getElementById('claim-amount');
+        if (claimAmount) claimAmount.disabled = true;
+
+        this.updatePayoutSection(ticket);
+    }
+
+    // Repairer choices (with fit warnings) and the windows still free on the chosen date
+    renderRepairBookingOptions(ticket) {
+        const repair = ticket.admin.repair || {};
+        const repairer = RepairerDirectory.find(this.state.repairers, repair.repairerId);
+
+        const repairerSelect = document.getElementById('repairer');
+        if (repairerSelect) {
+            repairerSelect.innerHTML = '<option value="">Choose repairer</option>' +
+                (!repair.repairerId && repair.repairer
+                    ? `<option value="legacy">${Utils.sanitizeHtml(repair.repairer)} (not in directory)</option>`
+                    : '') +
+                this.state.repairers.map(r => {
+                    const warnings = RepairerDirectory.warnings(r, ticket);
+                    return `<option value="${Utils.sanitizeHtml(r.id)}">${Utils.sanitizeHtml(r.name)}${warnings.length ? ' ⚠' : ''}</option>`;
+                }).join('');
+        }
+
+        const windowSelect = document.getElementById('scheduled-window');
+        if (windowSelect) {
+            const slots = repairer && repair.scheduledDate
+                ? RepairerDirectory.slots(repairer, repair.scheduledDate, this.state.tickets, ticket.id)
+                : RepairerDirectory.windows.map(window => ({ window, free: true }));
+            const known = slots.some(slot => slot.window === repair.scheduledWindow);
+
+            windowSelect.innerHTML = '<option value="">Choose window</option>' +
+                (repair.scheduledWindow && !known ? `<option value="${Utils.sanitizeHtml(repair.scheduledWindow)}">${Utils.sanitizeHtml(repair.scheduledWindow)}</option>` : '') +
+                slots.map(slot => `
+                    <option value="${slot.window}" ${slot.free ? '' : 'disabled'}>
+                        ${slot.window}${slot.free ? '' : ` – ${Utils.sanitizeHtml(slot.reason)}`}
+                    </option>
+                `).join('');
+        }
+
+        const hint = document.getElementById('repair-booking-hint');
+        if (hint) {
+            const notes = repairer ? RepairerDirectory.warnings(repairer, ticket) : [];
+            if (repairer) notes.push(`Contact: ${[repairer.phone, repairer.email].filter(Boolean).join(' • ')}`);
+            hint.innerHTML = notes.map(note => `<div>${Utils.sanitizeHtml(note)}</div>`).join('');
+        }
+    }
+
+    updatePayoutSection(ticket) {
+        const payout = ticket.admin.payout || Payout.empty();
+        const session = this.state.session;
+        const totals = Payout.totals(payout);
+        const editable = payout.status === 'pending' && AccessControl.can(session, 'payout.edit');
+
+        const badge = document.getElementById('payout-status-badge');
+        if (badge) {
+            badge.className = `badge ${Payout.badgeClasses[payout.status]}`;
+            badge.textContent = Payout.statuses[payout.status];
+        }
+
+        const items = document.getElementById('payout-items');
+        if (items) {
+            items.innerHTML = payout.items.length === 0
+                ? '<tr><td colspan="4" class="text-muted">No quote items yet</td></tr>'
+                : payout.items.map(item => `
+                    <tr>
+                        <td>${Utils.sanitizeHtml(item.description)}</td>
+                        <td>${Payout.bases[item.basis]}</td>
+                        <td class="text-end">${Utils.formatMoney(item.amount)}</td>
+                        <td class="text-end">
+                            ${editable ? `<button type="button" class="btn btn-link btn-sm text-danger p-0" data-remove-payout-item="${item.id}" aria-label="Remove item"><i class="bi bi-x-lg"></i></button>` : ''}
+                        </td>
+                    </tr>
+                `).join('');
+        }
+
+        const footer = document.getElementById('payout-totals');
+        if (footer) {
+            footer.innerHTML = `
+                <tr class="text-muted"><td colspan="2">Liability</td><td class="text-end">${Utils.formatMoney(totals.liability)}</td><td></td></tr>
+                <tr class="text-muted"><td colspan="2">Goodwill</td><td class="text-end">${Utils.formatMoney(totals.goodwill)}</td><td></td></tr>
+                <tr class="fw-semibold"><td colspan="2">Total</td><td class="text-end">${Utils.formatMoney(totals.total)}</td><td></td></tr>
+            `;
+        }
+
+        const itemForm = document.getElementById('payout-item-form');
+        if (itemForm) {
+            itemForm.classList.toggle('d-none', !editable);
+            const basis = document.getElementById('payout-item-basis');
+            if (basis && !document.getElementById('payout-item-description').value) {
+                basis.value = ticket.admin.outcome?.liabilityAccepted ? 'liability' : 'goodwill';
             }
+        }
+
+        const hints = [];
+        document.querySelectorAll('#payout-actions [data-payout-status]').forEach(button => {
+            const to = button.dataset.payoutStatus;
+            const workflow = Payout.check(ticket, to);
+            button.classList.toggle('d-none', !(Payout.transitions[payout.status] || []).includes(to));
+
+            const reasons = [...workflow.reasons, ...Payout.permissionReasons(session, ticket, to)];
+            button.disabled = reasons.length > 0;
+            button.title = reasons.join('; ');
+            if (workflow.allowed && reasons.length > 0) hints.push(...reasons);
         });
+
+        const hint = document.getElementById('payout-hint');
+        if (hint) {
+            const details = [];
+            if (payout.approvedBy) details.push(`Approved by ${Assignment.userName(payout.approvedBy, this.state.users)} ${Utils.formatDate(payout.approvedAt)}`);
+            if (payout.paymentReference) details.push(`Payment ref ${payout.paymentReference}`);
+            hint.innerHTML = [...details, ...new Set(hints)].map(text => `<div>${Utils.sanitizeHtml(text)}</div>`).join('');
+        }
+    }
+
+    addPayoutItem() {
+        const activeTicket = this.state.getActiveTicket();
+        if (!activeTicket) return;
+
+        const description = document.getElementById('payout-item-description');
+        const basis = document.getElementById('payout-item-basis');
+        const amount = document.getElementById('payout-item-amount');
+        const value = parseFloat(amount.value);
+        if (!description.value.trim() || !(value > 0)) {
+            NotificationSystem.show('Enter a description and an amount above zero', 'error');
+            return;
+        }
+
+        const added = this.state.updateTicket(activeTicket.id, (ticket) =>
+            Payout.addItem(ticket, { description: description.value.trim(), basis: basis.value, amount: Math.round(value * 100) / 100 }));
+        if (added) {
+            description.value = '';
+            amount.value = '';
+        }
+    }
+
+    changePayoutStatus(status) {
+        const activeTicket = this.state.getActiveTicket();
+        if (!activeTicket) return;
+
+        const options = {};
+        if (status === 'paid') {
+            options.reference = prompt('Payment reference');
+            if (!options.reference) return;
+        } else if (status === 'clawed-back' || status === 'pending') {
+            options.reason = prompt(status === 'pending' ? 'Why is the payout being reopened?' : 'Reason for the clawback');
+            if (!options.reason) return;
+        }
+
+        if (this.state.setPayoutStatus(activeTicket.id, status, options)) {
+            NotificationSystem.show(`Payout ${Payout.statuses[status].toLowerCase()}`, 'success');
+        }
     }
 
     updateAuditLog(ticket) {
         const auditLog = document.getElementById('audit-log');
         if (!auditLog) return;
 
-        if (!ticket.audit || ticket.audit.length === 0) {
-            auditLog.innerHTML = '<div class="text-muted">No audit entries</div>';
+        const chainStatus = document.getElementById('audit-chain-status');
+        if (chainStatus) {
+            const { valid, index } = AuditTrail.verify(ticket.audit);
+            chainStatus.className = `badge ${valid ? 'bg-success' : 'bg-danger'}`;
+            chainStatus.textContent = valid ? 'Chain verified' : `Chain broken at entry ${index + 1}`;
+        }
+
+        const entries = AuditTrail.filter(ticket.audit, {
+            type: document.getElementById('audit-filter-type')?.value,
+            text: document.getElementById('audit-filter-text')?.value
+        });
+
+        if (entries.length === 0) {
+            auditLog.innerHTML = `<div class="text-muted">${ticket.audit?.length ? 'No matching audit entries' : 'No audit entries'}</div>`;
             return;
         }
 
-        auditLog.innerHTML = ticket.audit.map(entry => `
-            <div class="audit-entry">
-                ${Utils.formatDate(entry.at)} — ${Utils.sanitizeHtml(entry.who)}: ${Utils.sanitizeHtml(entry.action)}
+        auditLog.innerHTML = entries.map(({ entry, index }) => `
+            <div class="audit-entry" title="#${index + 1} ${Utils.sanitizeHtml(entry.hash || '')}">
+                ${Utils.formatDate(entry.at)} — ${Utils.sanitizeHtml(entry.actor)}:
+                ${AuditTrail.types[entry.type] !== entry.action ? `<span class="badge text-bg-light">${Utils.sanitizeHtml(AuditTrail.types[entry.type] || entry.type)}</span>` : ''}
+                ${Utils.sanitizeHtml(entry.action)}
+                ${entry.reason ? `<span class="fst-italic">(${Utils.sanitizeHtml(entry.reason)})</span>` : ''}
             </div>
         `).join('');
     }
 
+    updateChangeHistory(ticket) {
+        const undoButton = document.getElementById('ticket-undo');
+        const redoButton = document.getElementById('ticket-redo');
+        if (undoButton) undoButton.disabled = !this.state.history.canUndo(ticket.id);
+        if (redoButton) redoButton.disabled = !this.state.history.canRedo(ticket.id);
+
+        const changeHistory = document.getElementById('change-history');
+        if (!changeHistory) return;
+
+        const log = this.state.history.changes(ticket.id);
+        if (log.length === 0) {
+            changeHistory.innerHTML = '<div class="text-muted">No edits this session</div>';
+            return;
+        }
+
+        changeHistory.innerHTML = log.map(version => version.changes.map(change => `
+            <div class="audit-entry" title="${Utils.sanitizeHtml(change.path)}">
+                ${Utils.sanitizeHtml(TicketHistory.describe(change))}
+                <span class="text-muted">by ${Utils.sanitizeHtml(version.who)} at ${Utils.formatDate(version.at)}</span>
+            </div>
+        `).join('')).join('');
+    }
+
+    undoActiveTicket(direction) {
+        const activeTicket = this.state.getActiveTicket();
+        if (!activeTicket) return;
+
+        const step = direction === 'undo'
+            ? this.state.undoTicket(activeTicket.id)
+            : this.state.redoTicket(activeTicket.id);
+
+        if (step) {
+            const summary = step.changes.map(change => TicketHistory.describe(change)).join('; ');
+            NotificationSystem.show(`${direction === 'undo' ? 'Undone' : 'Redone'}: ${summary}`, 'info');
+        } else if (step === null) {
+            NotificationSystem.show(`Nothing to ${direction}`, 'info');
+        }
+    }
+
     updateTicketOutcome() {
         const activeTicket = this.state.getActiveTicket();
         if (!activeTicket) return;
 
-        const decision = document.getElementById('decision-select').value;
+        const decisionSelect = document.getElementById('decision-select');
+        const decision = decisionSelect.value;
         const solution = document.getElementById('solution-text').value;
 
+        // A new decision must be a status the workflow could move the ticket to
+        const currentDecision = activeTicket.admin.outcome?.decision || activeTicket.status;
+        if (decision !== currentDecision && decision !== activeTicket.status) {
+            const { allowed, reasons } = TicketWorkflow.check(activeTicket, decision);
+            if (!allowed) {
+                decisionSelect.value = currentDecision;
+                NotificationSystem.show(`Cannot decide ${decision}: ${reasons.join('; ')}`, 'error');
+                return;
+            }
+        }
+
         this.state.updateTicket(activeTicket.id, (ticket) => {
             if (!ticket.admin.outcome) {
                 ticket.admin.outcome = { decision };
@@ -890,23 +7254,29 @@ class ComplaintsDeskApp {
             ticket.admin.outcome.solution = solution;
 
             // Add audit entry
-            ticket.audit.push({
-                at: new Date().toISOString(),
-                who: 'agent',
+            ticket.audit.push(AuditTrail.event('outcome.updated', {
+                path: 'admin.outcome.decision',
+                from: activeTicket.admin.outcome?.decision,
+                to: decision,
                 action: `Outcome updated: ${decision}`
-            });
+            }));
 
             return ticket;
         });
     }
 
-    updateRepairInfo() {
+    // `changedField` decides what a clash means: a taken window is refused when picked directly,
+    // but cleared (so a new one can be picked) when the repairer or date changed under it
+    updateRepairInfo(changedField) {
         const activeTicket = this.state.getActiveTicket();
         if (!activeTicket) return;
 
+        const repairerValue = document.getElementById('repairer').value;
+        const repairer = RepairerDirectory.find(this.state.repairers, repairerValue);
         const repairData = {
-            repairer: document.getElementById('repairer').value,
-            claimAmount: parseFloat(document.getElementById('claim-amount').value) || undefined,
+            // Tickets from before the directory keep their free-text repairer until one is chosen
+            repairerId: repairerValue === 'legacy' ? activeTicket.admin.repair?.repairerId : repairer?.id,
+            repairer: repairerValue === 'legacy' ? activeTicket.admin.repair?.repairer : (repairer?.name || ''),
             timeframeDays: parseInt(document.getElementById('timeframe-days').value) || undefined,
             scheduledDate: document.getElementById('scheduled-date').value || undefined,
             scheduledWindow: document.getElementById('scheduled-window').value,
@@ -915,12 +7285,33 @@ class ComplaintsDeskApp {
             powerAvailable: document.getElementById('power-available').checked
         };
 
+        const conflicts = RepairerDirectory.conflicts(repairer, repairData, this.state.tickets, activeTicket.id);
+        const dayConflict = conflicts.find(conflict => conflict.kind === 'day');
+        const windowConflict = conflicts.find(conflict => conflict.kind === 'window');
+        if (dayConflict || (windowConflict && changedField === 'scheduled-window')) {
+            NotificationSystem.show((dayConflict || windowConflict).message, 'error', 'Booking conflict');
+            this.updateRepairSection(activeTicket);
+            return;
+        }
+        if (windowConflict) {
+            repairData.scheduledWindow = '';
+            NotificationSystem.show(`${windowConflict.message}. Pick another window.`, 'warning', 'Booking conflict');
+        }
+
         this.state.updateTicket(activeTicket.id, (ticket) => {
             ticket.admin.repair = { ...ticket.admin.repair, ...repairData };
             return ticket;
         });
     }
 
+    downloadRepairCalendar(audience) {
+        const ticket = this.state.getActiveTicket();
+        const repairer = ticket && RepairerDirectory.find(this.state.repairers, ticket.admin.repair?.repairerId);
+        if (!repairer || !ticket.admin.repair.scheduledDate || !ticket.admin.repair.scheduledWindow) return;
+
+        Utils.downloadFile(`${ticket.id}-repair-${audience}.ics`, Ics.forRepair(ticket, repairer, audience), 'text/calendar');
+    }
+
     renderReports() {
         const tickets = this.state.getState('tickets');
         
@@ -942,30 +7333,342 @@ class ComplaintsDeskApp {
             'report-avg-claim': avgClaim
         };
 
-        Object.entries(reportElements).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.textContent = value;
+        Object.entries(reportElements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+
+        this.renderWorkload();
+        this.renderPayoutReport();
+        // The charts walk every audit trail, so they are only drawn while the tab is open
+        if (this.state.currentTab === 'reports') this.renderReportCharts();
+    }
+
+    renderReportCharts() {
+        const range = this.reportRange;
+        const summary = ReportMetrics.summarise(this.state.tickets, range);
+
+        document.getElementById('report-from').value = range.from;
+        document.getElementById('report-to').value = range.to;
+        document.getElementById('report-granularity').value = range.granularity;
+
+        const figures = {
+            'report-opened': summary.opened,
+            'report-median-resolution': ReportMetrics.formatHours(summary.medianHours),
+            'report-p90-resolution': ReportMetrics.formatHours(summary.p90Hours),
+            'report-paid-total': Utils.formatMoney(summary.paid)
+        };
+        Object.entries(figures).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = value;
+        });
+
+        const resolvedNote = document.getElementById('report-resolution-note');
+        if (resolvedNote) resolvedNote.textContent = `${summary.resolvedCount} resolved in range`;
+
+        const trend = document.getElementById('report-trend');
+        if (trend) {
+            trend.innerHTML = Charts.columns(summary.trend, [
+                { key: 'opened', label: 'Opened' },
+                { key: 'closed', label: 'Closed' }
+            ]);
+        }
+
+        Object.keys(ReportMetrics.breakdowns).forEach(key => {
+            const container = document.getElementById(`report-by-${key}`);
+            if (container) container.innerHTML = Charts.bars(summary.breakdowns[key]);
+        });
+
+        this.renderHotspots();
+    }
+
+    // Booking volumes are fetched once per range; until they arrive (or if they fail) rows are ranked by count
+    renderHotspots() {
+        const range = this.reportRange;
+        const key = `${range.from}..${range.to}`;
+        if (this.bookingVolumes?.key !== key) {
+            this.bookingVolumes = { key, stats: null };
+            this.bookings.stats(range)
+                .then(stats => {
+                    if (this.bookingVolumes.key !== key) return;
+                    this.bookingVolumes.stats = stats;
+                    this.renderHotspots();
+                })
+                .catch(error => console.error('Booking statistics unavailable:', error));
+        }
+        const stats = this.bookingVolumes.stats;
+
+        const alerts = document.getElementById('hotspot-alerts');
+        if (alerts) {
+            const settings = this.state.hotspotSettings;
+            const offenders = Hotspots.repeatOffenders(this.state.tickets, settings);
+            alerts.innerHTML = offenders.map(offender => `
+                <div class="alert alert-warning small py-2 d-flex justify-content-between align-items-center">
+                    <span>
+                        <i class="bi bi-exclamation-triangle me-1"></i>
+                        <strong>${Utils.sanitizeHtml(offender.name)}</strong>: ${offender.complaints} damage complaints
+                        in the last ${settings.windowDays} days (alert at ${settings.threshold})
+                    </span>
+                    <button type="button" class="btn btn-link btn-sm p-0" data-hotspot-query="${encodeURIComponent(Hotspots.query('driver', offender.name, Hotspots.windowRange(settings)))}">View tickets</button>
+                </div>
+            `).join('');
+        }
+
+        Object.keys(Hotspots.dimensions).forEach(dimension => {
+            const table = document.getElementById(`hotspot-${dimension}s`);
+            if (!table) return;
+
+            const rows = Hotspots.rank(this.state.tickets, dimension, range, stats?.[`${dimension}s`]);
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>${Hotspots.dimensions[dimension].label}</th>
+                        <th class="text-end">Damage</th>
+                        <th class="text-end">Bookings</th>
+                        <th class="text-end">Per 100</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.length === 0 ? '<tr><td colspan="4" class="text-muted small">No damage complaints in this range</td></tr>' : ''}
+                    ${rows.map(row => `
+                        <tr>
+                            <td>
+                                <button type="button" class="btn btn-link btn-sm p-0 text-start"
+                                        data-hotspot-query="${encodeURIComponent(Hotspots.query(dimension, row.name, range))}"
+                                        title="Show these tickets in the desk">${Utils.sanitizeHtml(row.name)}</button>
+                            </td>
+                            <td class="text-end">${row.complaints}</td>
+                            <td class="text-end">${row.bookings ?? '—'}</td>
+                            <td class="text-end">${row.rate === null ? '—' : row.rate.toFixed(2)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            `;
+        });
+    }
+
+    renderRepeatDamageBadge(ticket) {
+        const settings = this.state.hotspotSettings;
+        const count = Hotspots.driverCount(this.state.tickets, ticket.booking?.driverName, settings);
+        return count >= settings.threshold
+            ? ` <span class="badge bg-warning text-dark" title="Damage complaints naming this driver">${count} damage complaints in ${settings.windowDays} days</span>`
+            : '';
+    }
+
+    // Drill-down from the hotspot tables into the desk list
+    openHotspotQuery(query) {
+        this.switchTab('desk');
+        if (this.state.currentTab === 'desk') this.applySearch(query);
+    }
+
+    renderHotspotSettings() {
+        const settings = this.state.hotspotSettings;
+        const threshold = document.getElementById('hotspot-threshold');
+        const windowDays = document.getElementById('hotspot-window');
+        if (threshold) threshold.value = settings.threshold;
+        if (windowDays) windowDays.value = settings.windowDays;
+    }
+
+    saveHotspotSettings() {
+        const threshold = parseInt(document.getElementById('hotspot-threshold').value);
+        const windowDays = parseInt(document.getElementById('hotspot-window').value);
+        if (!(threshold >= 1) || !(windowDays >= 1)) {
+            NotificationSystem.show('Threshold and window must be at least 1', 'error');
+            return;
+        }
+
+        this.state.setState('hotspotSettings', { threshold, windowDays });
+        NotificationSystem.show('Hotspot alert settings saved', 'success');
+    }
+
+    updateRiskAssessment(ticket) {
+        const container = document.getElementById('risk-assessment');
+        if (!container) return;
+
+        const { score, band, reasons } = RiskScoring.assess(ticket, this.state.tickets, this.state.riskSettings);
+        container.innerHTML = `
+            <div class="d-flex align-items-center gap-2 mb-1">
+                <span class="small text-muted">False-claim risk</span>
+                <span class="badge ${band.className}">${score} • ${band.label}</span>
+            </div>
+            ${reasons.length ? `
+                <ul class="risk-reasons small mb-0">
+                    ${reasons.map(reason => `
+                        <li><span class="fw-medium">+${reason.weight}</span> ${Utils.sanitizeHtml(reason.detail)}</li>
+                    `).join('')}
+                </ul>
+            ` : '<div class="small text-muted">No risk indicators</div>'}
+        `;
+    }
+
+    renderRiskSettings() {
+        const table = document.getElementById('risk-settings-table');
+        if (!table) return;
+
+        const settings = this.state.riskSettings;
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Rule</th>
+                    <th>Weight</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(RiskScoring.rules).map(([rule, definition]) => `
+                    <tr>
+                        <th class="fw-medium">${Utils.sanitizeHtml(definition.label)}</th>
+                        <td>
+                            <input type="number" min="0" max="100" step="1" class="form-control form-control-sm"
+                                   data-rule="${rule}" value="${RiskScoring.weight(settings, rule)}"
+                                   aria-label="${Utils.sanitizeHtml(definition.label)} weight">
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    saveRiskSettings() {
+        const weights = {};
+        let valid = true;
+
+        document.querySelectorAll('#risk-settings-table input').forEach(input => {
+            const weight = parseInt(input.value);
+            if (!(weight >= 0 && weight <= 100)) valid = false;
+            weights[input.dataset.rule] = weight;
+        });
+
+        if (!valid) {
+            NotificationSystem.show('Rule weights must be between 0 and 100', 'error');
+            return;
+        }
+
+        this.state.setState('riskSettings', { weights });
+        NotificationSystem.show('Risk rule weights saved', 'success');
+    }
+
+    // Preset ranges fill in the dates; editing a date clears the preset
+    updateReportRange(changed) {
+        const preset = document.getElementById('report-preset');
+        if (changed === 'report-preset' && preset.value) {
+            this.reportRange = ReportMetrics.defaultRange(Number(preset.value));
+        } else {
+            const from = document.getElementById('report-from').value;
+            const to = document.getElementById('report-to').value;
+            if (!from || !to || from > to) {
+                NotificationSystem.show('Choose a start date on or before the end date', 'error');
+                this.renderReportCharts();
+                return;
             }
-        });
+            if (changed !== 'report-granularity') preset.value = '';
+            this.reportRange = { from, to, granularity: document.getElementById('report-granularity').value };
+        }
+        this.renderReportCharts();
+    }
+
+    renderPayoutReport() {
+        const table = document.getElementById('payout-report');
+        if (!table) return;
+
+        const { byStatus, paid } = Payout.summary(this.state.tickets);
+        table.innerHTML = `
+            <thead>
+                <tr><th>Payout status</th><th class="text-end">Tickets</th><th class="text-end">Amount</th></tr>
+            </thead>
+            <tbody>
+                ${Object.entries(byStatus).map(([status, { count, amount }]) => `
+                    <tr>
+                        <td><span class="badge ${Payout.badgeClasses[status]}">${Payout.statuses[status]}</span></td>
+                        <td class="text-end">${count}</td>
+                        <td class="text-end">${Utils.formatMoney(amount)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+            <tfoot class="text-muted">
+                <tr><td colspan="2">Paid on liability</td><td class="text-end">${Utils.formatMoney(paid.liability)}</td></tr>
+                <tr><td colspan="2">Paid as goodwill</td><td class="text-end">${Utils.formatMoney(paid.goodwill)}</td></tr>
+            </tfoot>
+        `;
     }
 
     render() {
         // Initial render
         this.switchTab(this.state.currentTab);
+        this.renderWizard();
         this.runSelfTests();
+
+        // Keep SLA countdowns current and catch breaches while the desk is open
+        setInterval(() => {
+            this.checkSlaBreaches();
+            this.renderTicketsList();
+        }, 60000);
     }
 
-    runSelfTests() {
+    async runSelfTests() {
         const testResults = document.getElementById('test-results');
         if (!testResults) return;
 
+        // A ticket in the real schema, starting from the seed ticket. Each section given in
+        // `overrides` replaces only the fields it names; anything else replaces the whole field.
+        const [seedTicket] = new AppState().tickets;
+        const testTicket = (overrides = {}) => {
+            const ticket = structuredClone(seedTicket);
+            Object.entries(overrides).forEach(([key, value]) => {
+                const section = value && typeof value === 'object' && !Array.isArray(value) && ticket[key] && typeof ticket[key] === 'object';
+                ticket[key] = section ? { ...ticket[key], ...value } : value;
+            });
+            return ticket;
+        };
+
         const tests = [
             {
                 name: 'Ticket ID generation',
-                test: () => {
-                    const id = Utils.generateTicketId();
-                    if (!/^T-\d{4}$/.test(id)) throw new Error('Invalid ID format');
+                test: async () => {
+                    const state = new AppState(new MemoryStorageAdapter());
+                    const ticket = state.getActiveTicket();
+                    const first = await state.issueTicketId(ticket);
+                    if (!/^T-\d{6}$/.test(first)) throw new Error('Invalid ID format');
+                    if (TicketNumbering.parse(first) <= TicketNumbering.parse(ticket.id)) throw new Error('Issued an id already in use');
+
+                    state.setState('numberingSettings', { format: 'prefixed' });
+                    const second = await state.issueTicketId({ ...ticket, nature: 'Damage', booking: { terminal: 't5' }, createdAt: '2025-03-01T12:00:00Z' });
+                    if (second !== `DMG-T5-2025-${String(TicketNumbering.parse(first) + 1).padStart(6, '0')}`) throw new Error(`Unexpected prefixed id ${second}`);
+                }
+            },
+            {
+                name: 'Ticket ids for a mixed import',
+                test: async () => {
+                    const state = new AppState(new MemoryStorageAdapter());
+                    const row = (id) => ({ ...structuredClone(state.getActiveTicket()), id });
+                    const batch = await state.issueTicketIds([row(null), row('T-000002'), row(null)]);
+                    const ids = batch.map(ticket => ticket.id);
+                    if (new Set(ids).size !== 3 || ids.includes('T-000001')) throw new Error(`Import numbered as ${ids.join(', ')}`);
+                    if (ids[0] !== 'T-000003' || ids[1] !== 'T-000002') throw new Error('Explicit id not kept out of the sequence');
+                }
+            },
+            {
+                name: 'Ticket id migration',
+                test: async () => {
+                    const storage = new MemoryStorageAdapter();
+                    const legacy = (id, createdAt, links = []) => ({
+                        ...structuredClone(new AppState().getActiveTicket()),
+                        id, createdAt, links,
+                        audit: AuditTrail.seal([AuditTrail.event('ticket.created', { at: createdAt, action: 'Ticket created' })])
+                    });
+                    await storage.saveTicket(legacy('T-4821', '2025-09-01T10:00:00Z'));
+                    await storage.saveTicket(legacy('T-1234', '2025-09-02T10:00:00Z', [{ id: 'T-4821', relation: 'related' }]));
+                    await storage.setMeta('activeTicketId', 'T-1234');
+
+                    const state = new AppState(storage);
+                    await state.hydrate();
+                    if (state.tickets.map(ticket => ticket.id).sort().join() !== 'T-000001,T-000002') throw new Error('Not renumbered in creation order');
+                    if (state.findTicket('T-4821')?.id !== 'T-000001' || state.activeTicketId !== 'T-000002') throw new Error('Old references lost');
+                    if (state.getTicket('T-000002').links[0].id !== 'T-000001') throw new Error('Links not renumbered');
+                    if (!AuditTrail.verify(state.getTicket('T-000001').audit).valid) throw new Error('Audit chain broken');
+                    if ((await storage.loadTickets()).some(ticket => ticket.id === 'T-4821')) throw new Error('Old record left in storage');
+                    if (await state.issueTicketId(state.getTicket('T-000001')) !== 'T-000003') throw new Error('Sequence not continued');
                 }
             },
             {
@@ -996,17 +7699,836 @@ class ComplaintsDeskApp {
                 test: () => {
                     if (this.state.getState('tickets').length === 0) throw new Error('No seed data');
                 }
+            },
+            {
+                name: 'Ticket schema migration',
+                test: () => {
+                    const migrated = TicketSchema.migrate({ id: 'T-0', complaint: { description: 'x' }, admin: {} });
+                    if (migrated.schemaVersion !== TicketSchema.CURRENT_VERSION) throw new Error('Version not stamped');
+                    if (!Array.isArray(migrated.complaint.images) || !Array.isArray(migrated.audit)) throw new Error('Defaults missing');
+                    if (TicketSchema.migrate(migrated) !== migrated) throw new Error('Current records should be untouched');
+                }
+            },
+            {
+                name: 'Storage write-through',
+                test: async () => {
+                    const state = new AppState(new MemoryStorageAdapter());
+                    await state.hydrate();
+                    state.addTicket({ ...state.getActiveTicket(), id: 'T-999999' });
+                    state.setState('activeTicketId', 'T-999999');
+
+                    const reloaded = new AppState(state.storage);
+                    await reloaded.hydrate();
+                    if (!reloaded.getTicket('T-999999')) throw new Error('Ticket not persisted');
+                    if (reloaded.activeTicketId !== 'T-999999') throw new Error('Active ticket not persisted');
+                }
+            },
+            {
+                name: 'Unused evidence blobs',
+                test: async () => {
+                    const state = new AppState(new MemoryStorageAdapter());
+                    state.tickets[0].complaint.images.push({ id: 'e2', kind: 'image', name: 'kept.jpg', hash: 'h-kept' });
+                    await state.storage.saveBlob('h-kept', new Blob(['kept']));
+                    await state.storage.saveBlob('h-draft', new Blob(['draft']));
+
+                    const deleted = await state.releaseBlobs(['h-kept', 'h-draft']);
+                    if (deleted.join() !== 'h-draft' || await state.storage.getBlob('h-draft')) throw new Error('Unused blob not deleted');
+                    if (!await state.storage.getBlob('h-kept')) throw new Error('Blob still held by a ticket deleted');
+                }
+            },
+            {
+                name: 'Workflow transitions and guards',
+                test: () => {
+                    const ticket = { status: 'New', admin: { findings: '' } };
+                    if (TicketWorkflow.check(ticket, 'Resolved').allowed) throw new Error('New cannot jump to Resolved');
+                    if (!TicketWorkflow.check(ticket, 'Triage').allowed) throw new Error('New should move to Triage');
+
+                    const triaged = { ...ticket, status: 'Triage' };
+                    if (TicketWorkflow.check(triaged, 'Resolved').allowed) throw new Error('Resolve requires findings');
+                    triaged.admin = { findings: 'Checked CCTV' };
+                    if (!TicketWorkflow.check(triaged, 'Resolved').allowed) throw new Error('Findings should allow resolve');
+                }
+            },
+            {
+                name: 'SLA due time and breach',
+                test: () => {
+                    const settings = SlaPolicy.defaultSettings();
+                    const enteredAt = Date.parse('2025-01-01T09:00:00Z');
+                    const ticket = {
+                        nature: 'Damage',
+                        status: 'Triage',
+                        createdAt: new Date(enteredAt - 3600000).toISOString(),
+                        audit: [AuditTrail.event('status.changed', { at: new Date(enteredAt).toISOString(), actor: 'agent', path: 'status', from: 'New', to: 'Triage' })]
+                    };
+                    const due = enteredAt + settings.natureOverrides.Damage.Triage * 3600000;
+
+                    if (SlaPolicy.evaluate(ticket, settings, enteredAt).dueAt !== due) throw new Error('Wrong due time');
+                    const noted = { ...ticket, audit: [...ticket.audit, AuditTrail.event('note', { at: new Date(due).toISOString(), action: 'Status changed to Triage' })] };
+                    if (SlaPolicy.evaluate(noted, settings, enteredAt).dueAt !== due) throw new Error('A note restarted the SLA clock');
+                    if (SlaPolicy.evaluate(ticket, settings, due + 1).state !== 'breached') throw new Error('Breach not detected');
+                    if (SlaPolicy.evaluate({ ...ticket, status: 'Resolved' }, settings, due + 1) !== null) throw new Error('Closed tickets have no SLA');
+                }
+            },
+            {
+                name: 'Evidence file validation',
+                test: () => {
+                    const photo = { name: 'bumper.jpg', type: 'image/jpeg', size: 2 * 1024 * 1024 };
+                    if (EvidencePolicy.validate(photo, 'image')) throw new Error('Valid photo rejected');
+                    if (!EvidencePolicy.validate({ ...photo, size: 50 * 1024 * 1024 }, 'image')) throw new Error('Oversized photo accepted');
+                    if (!EvidencePolicy.validate({ name: 'run.exe', type: 'application/x-msdownload', size: 10 }, 'doc')) throw new Error('Executable accepted');
+                    if (EvidencePolicy.validate({ name: 'IMG_1.HEIC', type: '', size: 10 }, 'image')) throw new Error('Extension fallback failed');
+                }
+            },
+            {
+                name: 'EXIF capture time parsing',
+                test: () => {
+                    // Minimal little-endian JPEG: IFD0 -> Exif IFD -> DateTimeOriginal
+                    const date = '2025:09:20 14:05:00\0';
+                    const bytes = new Uint8Array(12 + 8 + 18 + 18 + date.length);
+                    const view = new DataView(bytes.buffer);
+                    view.setUint16(0, 0xFFD8);
+                    view.setUint16(2, 0xFFE1);
+                    view.setUint16(4, bytes.length - 4);
+                    view.setUint32(6, 0x45786966);
+                    const tiff = 12;
+                    view.setUint16(tiff, 0x4949);
+                    view.setUint16(tiff + 2, 42, true);
+                    view.setUint32(tiff + 4, 8, true);
+                    view.setUint16(tiff + 8, 1, true);
+                    view.setUint16(tiff + 10, 0x8769, true);
+                    view.setUint16(tiff + 12, 4, true);
+                    view.setUint32(tiff + 14, 1, true);
+                    view.setUint32(tiff + 18, 26, true);
+                    view.setUint16(tiff + 26, 1, true);
+                    view.setUint16(tiff + 28, 0x9003, true);
+                    view.setUint16(tiff + 30, 2, true);
+                    view.setUint32(tiff + 32, date.length, true);
+                    view.setUint32(tiff + 36, 44, true);
+                    Array.from(date).forEach((c, i) => view.setUint8(tiff + 44 + i, c.charCodeAt(0)));
+
+                    const exif = ExifReader.parse(bytes.buffer);
+                    if (exif?.takenAt !== new Date(2025, 8, 20, 14, 5, 0).toISOString()) throw new Error('DateTimeOriginal not read');
+
+                    const flags = EvidenceChecks.flags(
+                        { exif, takenAt: '2025-01-01T00:00:00Z' },
+                        { booking: { arrivalAt: '2025-09-21T08:00:00Z' } }
+                    );
+                    if (flags.length !== 2) throw new Error('Mismatch and pre-handover flags expected');
+                }
+            },
+            {
+                name: 'Claim pack contents',
+                test: () => {
+                    const ticket = this.state.getTicket('T-000001') || this.state.getActiveTicket();
+                    const pack = ClaimPack.build({ ...ticket, customer: { ...ticket.customer, name: '<b>x</b>' } });
+                    const audit = pack.sections.find(section => section.heading === 'Audit log');
+                    if (audit.rows.length !== ticket.audit.length) throw new Error('Audit log incomplete');
+                    if (ClaimPack.renderHtml(pack).includes('<b>x</b>')) throw new Error('Customer data not escaped');
+                }
+            },
+            {
+                name: 'CSV round trip',
+                test: () => {
+                    const rows = [['a', 'quote "here"', 'multi\nline', '+447700900001', '']];
+                    if (JSON.stringify(Csv.parse(Csv.stringify(rows)).map(r => r.map(c => Csv.unescapeCell(c)))) !== JSON.stringify(rows)) {
+                        throw new Error('Round trip changed the data');
+                    }
+                }
+            },
+            {
+                name: 'Import row validation',
+                test: () => {
+                    const rules = Validation.fieldRules(document.getElementById('complaint-form'));
+                    const row = { nature: 'Mileage', customer_name: 'Ann', customer_phone: '07700 900001', description: 'Extra miles' };
+                    if (TicketTransfer.validateRow(row, rules).length) throw new Error('Valid row rejected');
+                    if (!TicketTransfer.validateRow({ ...row, customer_email: 'not-an-email' }, rules).length) throw new Error('Bad email accepted');
+                    if (!TicketTransfer.validateRow({ ...row, nature: 'Damage' }, rules).length) throw new Error('Damage without types accepted');
+                }
+            },
+            {
+                name: 'Search query language',
+                test: () => {
+                    const ticket = {
+                        id: 'T-2001', status: 'Triage', nature: 'Damage', createdAt: '2025-09-10T10:00:00Z',
+                        customer: { name: 'Ann Lee' }, booking: { reg: 'AB12 CDE', terminal: 'T5' },
+                        complaint: { damageTypes: ['Dent'] }, admin: { repair: { claimAmount: 600 } }, audit: []
+                    };
+                    const context = { slaSettings: SlaPolicy.defaultSettings(), now: Date.now() };
+                    const matches = (q) => TicketQuery.matches(ticket, TicketQuery.parse(q), context);
+
+                    if (!matches('status:Triage nature:damage terminal:T5 created:>2025-09-01 claim:>500 reg:AB12*')) throw new Error('Qualifiers should match');
+                    if (matches('claim:<500') || matches('-status:Triage,New') || matches('created:2025-09-11')) throw new Error('Non-matching filters passed');
+                    if (!matches('claim:500..700 damage:dent ann')) throw new Error('Range, list or free text failed');
+
+                    const openDamage = TicketQuery.defaultViews.find(view => view.id === 'open-damage');
+                    const mine = (assignee) => TicketQuery.matches({ ...ticket, assignee }, TicketQuery.parse(openDamage.query), { ...context, currentUserId: 'u-1' });
+                    if (!mine('u-1') || mine('u-2')) throw new Error('"My open damage claims" not limited to my tickets');
+
+                    const renumbered = { ...ticket, legacyIds: ['T-4821'] };
+                    const found = (q) => TicketQuery.matches(renumbered, TicketQuery.parse(q), context);
+                    if (!found('T-4821') || !found('id:T-48*') || matches('T-4821')) throw new Error('Old ticket id not searchable');
+                    if (TicketTransfer.ticketToRow(renumbered).legacy_ids !== 'T-4821') throw new Error('Old ticket id not exported');
+                }
+            },
+            {
+                name: 'Full-text index',
+                test: () => {
+                    const index = new SearchIndex();
+                    const ticket = {
+                        id: 'T-3001', customer: { name: 'Ann' }, complaint: { description: 'Scratches on the rear bumper near bay B' },
+                        admin: { findings: 'Driver parked too close' }, audit: [{ action: 'Ticket created' }]
+                    };
+                    index.update(ticket);
+
+                    const hits = (word) => index.search([word]).get(word).has('T-3001');
+                    if (!hits('bumpers') || !hits('scratched') || !hits('parking')) throw new Error('Stemmed terms missed');
+                    if (!hits('bumpr') || !hits('rea')) throw new Error('Fuzzy or prefix match missed');
+                    if (hits('wheel')) throw new Error('Unrelated term matched');
+
+                    index.update({ ...ticket, complaint: { description: 'Wheel curbed' } });
+                    if (hits('bumper') || !hits('wheel')) throw new Error('Incremental update failed');
+                    if (!index.snippet(ticket, ['bumper']).includes('<mark>bumper</mark>')) throw new Error('No highlight');
+                }
+            },
+            {
+                name: 'Roles and permissions',
+                test: async () => {
+                    const identity = new MockIdentityProvider();
+                    const agent = await identity.signIn('agent', 'demo');
+                    const supervisor = await identity.signIn('Supervisor', 'demo');
+                    const rejected = await identity.signIn('agent', 'wrong').then(() => false, e => e instanceof AuthenticationError);
+                    if (!rejected) throw new Error('Wrong password accepted');
+
+                    const state = new AppState();
+                    const id = state.tickets[0].id;
+                    const accept = (ticket) => {
+                        ticket.admin.outcome = { ...ticket.admin.outcome, decision: ticket.status, liabilityAccepted: true };
+                        return ticket;
+                    };
+
+                    state.setState('session', agent);
+                    if (state.updateTicket(id, accept)) throw new Error('Agent accepted liability');
+                    if (state.getTicket(id).admin.outcome?.liabilityAccepted) throw new Error('Denied change was applied');
+
+                    state.setState('session', supervisor);
+                    if (!state.updateTicket(id, accept)) throw new Error('Supervisor refused');
+                    if (state.getTicket(id).audit.at(-1).actor !== 'u-supervisor') throw new Error('Actor not taken from the session');
+
+                    const viewer = await identity.signIn('viewer', 'demo');
+                    if (AccessControl.canViewTab(viewer, 'settings') || !AccessControl.canViewTab(viewer, 'desk')) {
+                        throw new Error('Tab permissions wrong');
+                    }
+                    if (AccessControl.can({ ...agent, expiresAt: new Date(0).toISOString() }, 'desk.view')) {
+                        throw new Error('Expired session still valid');
+                    }
+                }
+            },
+            {
+                name: 'Damage hotspots',
+                test: () => {
+                    const now = new Date('2025-09-30T12:00:00').getTime();
+                    const ticket = (id, driverName, terminal, daysAgo, nature = 'Damage') => testTicket({
+                        id, nature, booking: { driverName, terminal },
+                        createdAt: new Date(now - daysAgo * 86400000).toISOString()
+                    });
+                    const tickets = [
+                        ticket('T-1', 'A. Singh', 'T5', 1), ticket('T-2', 'a.  singh ', 'T5', 5),
+                        ticket('T-3', 'A. Singh', 'T3', 20), ticket('T-4', 'M. Osei', 'T2', 2),
+                        ticket('T-5', 'M. Osei', 'T3', 3, 'Mileage'), ticket('T-6', 'A. Singh', 'T5', 45)
+                    ];
+                    const range = { from: '2025-09-01', to: '2025-09-30' };
+
+                    const drivers = Hotspots.rank(tickets, 'driver', range, [{ name: 'A. Singh', bookings: 300 }, { name: 'M. Osei', bookings: 20 }]);
+                    if (drivers[0].name !== 'M. Osei' || drivers[0].rate !== 5 || drivers[1].complaints !== 3) {
+                        throw new Error('Driver ranking wrong');
+                    }
+                    if (Hotspots.rank(tickets, 'terminal', range)[0].name !== 'T5') throw new Error('Count ranking wrong');
+
+                    const offenders = Hotspots.repeatOffenders(tickets, { threshold: 3, windowDays: 30 }, now);
+                    if (offenders.length !== 1 || offenders[0].ticketIds.join() !== 'T-1,T-2,T-3') throw new Error('Repeat offenders wrong');
+                    if (Hotspots.repeatOffenders(tickets, { threshold: 3, windowDays: 7 }, now).length !== 0) {
+                        throw new Error('Rolling window ignored');
+                    }
+
+                    const query = TicketQuery.parse(Hotspots.query('driver', 'A. Singh', range));
+                    if (query.terms.some(term => term.error) || query.terms[1].options[0] !== 'a. singh') throw new Error('Drill-down query wrong');
+                    const drilled = (driverName) => TicketQuery.matches({ ...tickets[0], booking: { driverName } }, query, {});
+                    if (!drilled(' a.  SINGH') || drilled('A. Singhal')) throw new Error('Drill-down not matched on the grouped name');
+
+                    ['J. "Jock" Carter', 'Carter, J.', 'O"Neil'].forEach(driverName => {
+                        const quoted = TicketQuery.parse(Hotspots.query('driver', driverName, range));
+                        if (quoted.terms.length !== 3 || quoted.terms.some(term => term.error)) throw new Error(`Query for ${driverName} not parsed`);
+                        if (!TicketQuery.matches({ ...tickets[0], booking: { driverName } }, quoted, {})) throw new Error(`Query for ${driverName} does not match it`);
+                    });
+
+                    // A ticket from early on the window's first day counts in both the alert and its drill-down
+                    const edge = [...tickets.slice(0, 2), ticket('T-7', 'A. Singh', 'T5', 30.1)];
+                    const window = Hotspots.windowRange({ threshold: 3, windowDays: 30 }, now);
+                    const shown = TicketQuery.parse(Hotspots.query('driver', 'A. Singh', window));
+                    if (Hotspots.repeatOffenders(edge, { threshold: 3, windowDays: 30 }, now).length !== 1 ||
+                        edge.filter(t => TicketQuery.matches(t, shown, {})).length !== 3) {
+                        throw new Error('Alert and drill-down disagree at the window edge');
+                    }
+                }
+            },
+            {
+                name: 'False-claim risk scoring',
+                test: () => {
+                    const ticket = (id, overrides = {}) => testTicket({
+                        id,
+                        customer: { email: `${id}@example.com`, phone: id.replace(/\D/g, '') },
+                        booking: { reg: `REG${id}`, returnAt: '2025-09-20T10:00:00' },
+                        complaint: { incidentDate: '2025-09-20', images: [{ exif: { takenAt: '2025-09-20T09:00:00' } }] },
+                        admin: { repair: { claimAmount: 100 } },
+                        ...overrides
+                    });
+                    const tickets = ['T-1', 'T-2', 'T-3', 'T-4', 'T-5'].map(id => ticket(id));
+                    const clean = RiskScoring.assess(tickets[0], tickets, RiskScoring.defaultSettings());
+                    if (clean.score !== 0 || clean.band.label !== 'Low') throw new Error('Clean ticket scored');
+
+                    const suspect = ticket('T-9', {
+                        informedTiming: 'After leaving official ground',
+                        customer: { email: 'T-1@EXAMPLE.com ', phone: '' },
+                        booking: { reg: 'regt-2 ', returnAt: '2025-09-20T10:00:00' },
+                        complaint: { incidentDate: '2025-09-23', images: [{ exif: { takenAt: '2025-09-22T12:00:00' } }] },
+                        admin: { repair: { claimAmount: 900 } }
+                    });
+                    const all = [...tickets, suspect];
+                    const risk = RiskScoring.assess(suspect, all, RiskScoring.defaultSettings());
+                    const fired = risk.reasons.map(reason => reason.rule).sort().join();
+                    if (fired !== 'afterGround,amountOutlier,exifAfterHandover,lateIncident,repeatClaimant') throw new Error(`Unexpected rules: ${fired}`);
+                    if (risk.score !== 100 || risk.band.label !== 'High') throw new Error('Score not capped');
+                    if (!risk.reasons.find(reason => reason.rule === 'repeatClaimant').detail.includes('email, registration')) {
+                        throw new Error('Repeat claimant reason unclear');
+                    }
+
+                    const tuned = RiskScoring.assess(suspect, all, { weights: { afterGround: 0, lateIncident: 10, missingPhotos: 0, exifAfterHandover: 10, repeatClaimant: 5, amountOutlier: 0 } });
+                    if (tuned.score !== 25 || tuned.reasons.length !== 3 || tuned.band.label !== 'Low') throw new Error('Weights not applied');
+                }
+            },
+            {
+                name: 'Duplicate detection and merge',
+                test: async () => {
+                    const ticket = (id, overrides = {}) => testTicket({
+                        id, status: 'New',
+                        customer: { name: 'A. Customer', email: 'a@example.com', phone: '+44 7700 900001' },
+                        complaint: { description: 'Deep scratch on the rear bumper', incidentDate: '2025-09-20', images: [], videos: [] },
+                        ...overrides
+                    });
+                    const original = ticket('T-1', {
+                        complaint: { description: 'Deep scratch on the rear bumper', incidentDate: '2025-09-20', images: [{ hash: 'h1', name: 'a.jpg', kind: 'image' }], videos: [] }
+                    });
+                    const repeat = ticket('T-2', {
+                        customer: { name: 'A. Customer', email: 'other@example.com', phone: '+447700900001' },
+                        complaint: { description: 'Rear bumper scratched', incidentDate: '2025-09-21', images: [{ hash: 'h1', name: 'a.jpg', kind: 'image' }, { hash: 'h2', name: 'b.jpg', kind: 'image' }], videos: [] }
+                    });
+                    const unrelated = ticket('T-3', {
+                        customer: { name: 'B. Other', email: 'b@example.com', phone: '1' },
+                        booking: { reg: 'XY99ZZZ' }
+                    });
+                    const sameCarLater = ticket('T-4', { complaint: { description: 'Mileage higher than expected', incidentDate: '2025-11-02', images: [], videos: [] } });
+
+                    const found = DuplicateDetection.candidates(repeat, [original, unrelated, sameCarLater]);
+                    if (found.length !== 1 || found[0].ticket.id !== 'T-1' || found[0].fields.join() !== 'phone,registration' || found[0].gapDays !== 1) {
+                        throw new Error('Duplicate candidates wrong');
+                    }
+
+                    const primary = DuplicateDetection.absorb(structuredClone(original), repeat);
+                    AuditTrail.seal(primary.audit);
+                    if (primary.complaint.images.map(image => image.hash).join() !== 'h1,h2') throw new Error('Evidence not combined once');
+                    if (!primary.audit.some(entry => entry.type === 'note' && entry.action === 'T-2: Ticket created')) throw new Error('Audit trail not copied');
+                    if (!AuditTrail.verify(primary.audit).valid) throw new Error('Merged audit chain broken');
+
+                    const closed = DuplicateDetection.close(structuredClone(repeat), 'T-1');
+                    if (closed.status !== 'Rejected' || DuplicateDetection.mergedInto(closed) !== 'T-1') throw new Error('Duplicate not closed');
+                    if (TicketWorkflow.check(closed, 'Investigating').allowed) throw new Error('Merged ticket can still move');
+                    if (DuplicateDetection.candidates(primary, [closed]).length !== 0) throw new Error('Merged ticket offered again');
+                    if (!DuplicateDetection.mergeBlocker(original, { ...repeat, status: 'Repair Scheduled' })) throw new Error('Booked repair merged away');
+
+                    const state = new AppState();
+                    const [seed] = state.tickets;
+                    state.tickets.push({ ...structuredClone(seed), id: 'T-000002', status: 'New' });
+                    const merge = [
+                        { ticketId: seed.id, updater: (next) => DuplicateDetection.absorb(next, state.getTicket('T-000002')) },
+                        { ticketId: 'T-000002', updater: (next) => DuplicateDetection.close(next, seed.id) }
+                    ];
+                    state.session = { userId: 'u-42', name: 'Test', role: 'read-only', expiresAt: new Date(Date.now() + 60000).toISOString() };
+                    if (state.updateTickets(merge) !== false || state.getTicket(seed.id).links.length !== 0) {
+                        throw new Error('Merge half-applied without permission');
+                    }
+                    state.session = await new MockIdentityProvider().signIn('supervisor', 'demo');
+                    state.updateTickets(merge);
+                    if (DuplicateDetection.mergedInto(state.getTicket('T-000002')) !== seed.id) throw new Error('Merge not applied');
+                    state.undoTicket(seed.id);
+                    if (state.getTicket('T-000002').status !== 'New' || state.getTicket(seed.id).links.length !== 0) {
+                        throw new Error('Undo did not revert both sides of the merge');
+                    }
+                }
+            },
+            {
+                name: 'Report metrics',
+                test: () => {
+                    const ticket = (createdAt, closedAt, status = 'Resolved') => testTicket({
+                        createdAt, status,
+                        complaint: { damageTypes: ['Dent', 'Scratch'] },
+                        audit: closedAt ? [AuditTrail.event('status.changed', { at: closedAt, path: 'status', from: 'Investigating', to: status })] : []
+                    });
+                    const tickets = [
+                        ticket('2025-09-01T09:00:00', '2025-09-01T19:00:00'),
+                        ticket('2025-09-02T09:00:00', '2025-09-04T09:00:00'),
+                        ticket('2025-09-08T09:00:00', null, 'Triage')
+                    ];
+                    const range = { from: '2025-09-01', to: '2025-09-14', granularity: 'week' };
+
+                    const trend = ReportMetrics.trend(tickets, range);
+                    if (trend.map(row => `${row.key}:${row.opened}/${row.closed}`).join(' ') !== '2025-09-01:2/2 2025-09-08:1/0') {
+                        throw new Error('Weekly trend wrong');
+                    }
+
+                    const hours = ReportMetrics.resolutionHours(tickets, range);
+                    if (ReportMetrics.percentile(hours, 50) !== 10 || ReportMetrics.percentile(hours, 90) !== 48) {
+                        throw new Error('Resolution percentiles wrong');
+                    }
+
+                    const damage = ReportMetrics.breakdown(tickets, ReportMetrics.breakdowns.damage.get);
+                    if (damage[0].value !== 3 || damage.length !== 2) throw new Error('Damage breakdown wrong');
+                    if (!Charts.columns(trend, [{ key: 'opened', label: 'Opened' }]).includes('<svg')) throw new Error('Chart not drawn');
+                }
+            },
+            {
+                name: 'Booking lookup',
+                test: async () => {
+                    const bookings = new BookingsApi({ mock: true });
+                    const booking = await bookings.lookup({ reg: 'ab12 cde', email: 'John@example.com' });
+                    if (booking?.bookingId !== 'SP-240117' || booking.terminal !== 'T5' || !booking.return) {
+                        throw new Error('Booking not found by reg and email');
+                    }
+                    if (await bookings.lookup({ reg: 'AB12CDE', ref: 'SP-OTHER' })) throw new Error('Wrong reference matched');
+                    if (await bookings.lookup({ reg: 'ZZ99ZZZ' })) throw new Error('Unknown registration matched');
+                }
+            },
+            {
+                name: 'Booking cleared with the form',
+                test: () => {
+                    // Runs on the live portal form, so whatever the customer has entered is put back
+                    const form = document.getElementById('complaint-form');
+                    const fields = ComplaintWizard.capture(form);
+                    try {
+                        this.applyBooking({ bookingId: 'SP-TEST', terminal: 'T5', arrival: '2025-09-01T08:00', return: '2025-09-08T18:00' });
+                        this.resetComplaintForm();
+                        const { booking } = this.collectComplaintFormData();
+                        if (booking.bookingId !== null || booking.arrivalAt || booking.returnAt) throw new Error('Booking survived the reset');
+                    } finally {
+                        ComplaintWizard.restore(form, fields);
+                        this.renderBookingLookup();
+                    }
+                }
+            },
+            {
+                name: 'Complaint wizard drafts',
+                test: () => {
+                    const ids = (nature) => ComplaintWizard.activeSteps(nature).map(step => step.id).join(',');
+                    if (ids('Damage') !== 'contact,booking,incident,damage,evidence,review') throw new Error('Damage steps wrong');
+                    if (ids('Mileage').includes('damage')) throw new Error('Damage step shown for mileage');
+
+                    const form = document.createElement('form');
+                    form.innerHTML = `
+                        <fieldset data-step="damage"><div id="damage-types"><input type="checkbox" id="t-dent"></div></fieldset>
+                        <input id="t-name" required><input type="radio" name="t-when" id="t-after">
+                        <input type="file" id="t-file">
+                    `;
+                    if (!ComplaintWizard.validateStep('damage', form.querySelector('fieldset'))['damage-types']) {
+                        throw new Error('Damage type not required');
+                    }
+
+                    form.querySelector('#t-name').value = 'Ann';
+                    form.querySelector('#t-after').checked = true;
+                    const fields = ComplaintWizard.capture(form);
+                    if ('t-file' in fields) throw new Error('File input captured');
+
+                    form.reset();
+                    ComplaintWizard.restore(form, fields);
+                    if (form.querySelector('#t-name').value !== 'Ann' || !form.querySelector('#t-after').checked) {
+                        throw new Error('Draft not restored');
+                    }
+                }
+            },
+            {
+                name: 'Customer status page',
+                test: async () => {
+                    const ticket = {
+                        id: 'T-1', status: 'Investigating', nature: 'Damage', createdAt: '2025-09-20T10:00:00Z',
+                        customer: { name: 'A', email: 'Ann@Example.com', address: 'TW6 2GA' },
+                        complaint: { description: 'Dent', damageTypes: ['Dent'], images: [], videos: [] },
+                        admin: { findings: 'Customer lying', outcome: { liabilityAccepted: true, falseClaimFlag: true } },
+                        audit: [
+                            AuditTrail.event('ticket.created', { actor: 'customer' }),
+                            AuditTrail.event('field.changed', { path: 'admin.findings', to: 'Customer lying' }),
+                            AuditTrail.event('outcome.updated', { path: 'admin.outcome.falseClaimFlag', to: true }),
+                            AuditTrail.event('status.changed', { path: 'status', from: 'New', to: 'Investigating', reason: 'internal' })
+                        ]
+                    };
+
+                    const token = CustomerPortal.issueToken();
+                    CustomerPortal.grant(ticket, token);
+                    if (!CustomerPortal.verify(ticket, { token }) || CustomerPortal.verify(ticket, { token: 'guess' })) {
+                        throw new Error('Token check wrong');
+                    }
+                    if (!CustomerPortal.verify(ticket, { email: ' ann@example.com' }) || CustomerPortal.verify(ticket, { email: '' })) {
+                        throw new Error('Email check wrong');
+                    }
+                    if (JSON.stringify(ticket.tracking).includes(token)) throw new Error('Token stored in clear');
+
+                    const view = JSON.stringify(CustomerPortal.publicView(ticket, []));
+                    if (/lying|falseClaim|internal/.test(view)) throw new Error('Internal details leaked');
+                    if (CustomerPortal.timeline(ticket).map(entry => entry.title).join('|') !== 'Complaint received|Under investigation') {
+                        throw new Error('Timeline wrong');
+                    }
+
+                    const { repairer, options } = CustomerPortal.slotOptions(ticket, RepairerDirectory.defaults(), [], new Date(2025, 8, 19));
+                    if (repairer?.id !== 'r-smart' || options[0]?.date !== '2025-09-22') throw new Error('Slot offer wrong');
+
+                    const state = new AppState();
+                    const id = state.tickets[0].id;
+                    state.session = await new MockIdentityProvider().signIn('supervisor', 'demo');
+                    state.updateTicket(id, (next) => {
+                        next.admin.findings = 'Dent on door';
+                        return next;
+                    });
+                    if (!state.history.canUndo(id)) throw new Error('Staff edit not recorded');
+                    state.session = null;
+                    if (state.updateTicketAsCustomer(id, (next) => {
+                        next.status = 'Resolved';
+                        return next;
+                    }) !== false || state.getTicket(id).status === 'Resolved') {
+                        throw new Error('Customer changed the status');
+                    }
+                    if (state.updateTicketAsCustomer(id, (next) => {
+                        next.complaint.images = [];
+                        return next;
+                    }) !== false) {
+                        throw new Error('Customer removed evidence');
+                    }
+                    state.updateTicketAsCustomer(id, (next) => {
+                        next.complaint.images.push({ id: 'c1', kind: 'image', name: 'extra.jpg', hash: 'h-extra' });
+                        return next;
+                    });
+                    if (state.getTicket(id).complaint.images.at(-1)?.name !== 'extra.jpg') throw new Error('Customer upload refused');
+                    if (state.history.canUndo(id)) throw new Error('Customer edit left staff undo steps that would drop it');
+                }
+            },
+            {
+                name: 'Repairer booking slots',
+                test: () => {
+                    const [smart] = RepairerDirectory.defaults();
+                    const monday = '2025-09-22';
+                    const booked = (id, window) => ({
+                        id, status: 'Repair Scheduled',
+                        admin: { repair: { repairerId: smart.id, scheduledDate: monday, scheduledWindow: window } }
+                    });
+                    const tickets = [booked('T-1', '08:00-10:00'), booked('T-2', '10:00-12:00')];
+
+                    const slots = RepairerDirectory.slots(smart, monday, tickets, 'T-3');
+                    if (slots[0].free || !slots[2].free) throw new Error('Taken windows not detected');
+
+                    const clash = RepairerDirectory.conflicts(smart, { scheduledDate: monday, scheduledWindow: '08:00-10:00' }, tickets, 'T-3');
+                    if (clash[0]?.kind !== 'window') throw new Error('Window clash missed');
+
+                    tickets.push(booked('T-4', '13:00-15:00'));
+                    const full = RepairerDirectory.conflicts(smart, { scheduledDate: monday, scheduledWindow: '15:00-17:00' }, tickets, 'T-3');
+                    if (full[0]?.kind !== 'day') throw new Error('Capacity not enforced');
+                    if (RepairerDirectory.conflicts(smart, { scheduledDate: '2025-09-21', scheduledWindow: '08:00-10:00' }, [], 'T-3')[0]?.kind !== 'day') {
+                        throw new Error('Non-working day allowed');
+                    }
+
+                    if (!RepairerDirectory.covers(smart, { customer: { address: '10 Bay Rd, TW6 2GA' } }) ||
+                        RepairerDirectory.covers(smart, { customer: { address: '1 High St, TW1 1AA' } })) {
+                        throw new Error('Coverage matching wrong');
+                    }
+
+                    const ticket = { id: 'T-3', nature: 'Damage', customer: { name: 'Ann, Smith', email: 'ann@example.com', address: 'TW6' },
+                        booking: { reg: 'AB12CDE' }, complaint: { damageTypes: ['Dent'] },
+                        admin: { repair: { scheduledDate: monday, scheduledWindow: '13:00-15:00' } } };
+                    const ics = Ics.forRepair(ticket, smart, 'repairer');
+                    if (!ics.includes('DTSTART:20250922T130000') || !ics.includes('Ann\\, Smith') || !ics.endsWith('\r\n')) {
+                        throw new Error('ICS event malformed');
+                    }
+                    if (!ics.includes('ATTENDEE;CN="Ann, Smith":mailto:ann@example.com') || Ics.param('Ann "Annie" Smith') !== '"Ann Annie Smith"') {
+                        throw new Error('Attendee name not quoted');
+                    }
+                }
+            },
+            {
+                name: 'Payout approvals',
+                test: async () => {
+                    const identity = new MockIdentityProvider();
+                    const state = new AppState();
+                    const id = state.tickets[0].id;
+
+                    state.session = await identity.signIn('agent', 'demo');
+                    state.updateTicket(id, (ticket) => Payout.addItem(ticket, { description: 'Respray', basis: 'liability', amount: 450.1 }));
+                    state.updateTicket(id, (ticket) => Payout.addItem(ticket, { description: 'Courtesy', basis: 'goodwill', amount: 100.2 }));
+                    const totals = Payout.totals(state.getTicket(id).admin.payout);
+                    if (totals.total !== 550.3 || totals.goodwill !== 100.2) throw new Error('Totals wrong');
+                    if (state.getTicket(id).admin.repair.claimAmount !== 550.3) throw new Error('Claim amount not mirrored');
+                    if (state.setPayoutStatus(id, 'approved')) throw new Error('Agent approved a payout');
+
+                    state.session = await identity.signIn('finance', 'demo');
+                    if (state.setPayoutStatus(id, 'approved')) throw new Error('Finance approved over the threshold');
+
+                    state.session = await identity.signIn('supervisor', 'demo');
+                    if (!state.setPayoutStatus(id, 'approved')) throw new Error('Supervisor sign-off refused');
+                    if (state.setPayoutStatus(id, 'paid', { reference: 'X' })) throw new Error('Supervisor paid out');
+                    if (state.updateTicket(id, (ticket) => Payout.addItem(ticket, { description: 'Extra', basis: 'goodwill', amount: 5 }))) {
+                        throw new Error('Approved quote was editable');
+                    }
+
+                    state.session = await identity.signIn('finance', 'demo');
+                    if (!state.setPayoutStatus(id, 'paid', { reference: 'BACS-1' })) throw new Error('Finance could not pay');
+                    if (Payout.summary(state.tickets).paid.liability !== 450.1) throw new Error('Paid split wrong');
+
+                    const audit = state.getTicket(id).audit;
+                    if (audit.filter(entry => entry.type === 'payout.status').length !== 2) throw new Error('Payout moves not audited');
+                    if (TicketSchema.migrations[5]({ admin: { repair: { claimAmount: 80 } } }).admin.payout.items[0].amount !== 80) {
+                        throw new Error('Claim amount not migrated');
+                    }
+                }
+            },
+            {
+                name: 'Ticket assignment',
+                test: async () => {
+                    const identity = new MockIdentityProvider({ users: [
+                        ...MockIdentityProvider.users,
+                        { id: 'u-agent2', username: 'agent2', name: 'Blair Agent', role: 'agent' }
+                    ] });
+                    const state = new AppState();
+                    state.users = await identity.listUsers();
+                    const id = state.tickets[0].id;
+
+                    // Least loaded skips the agent who already owns an open ticket
+                    state.session = await identity.signIn('agent', 'demo');
+                    if (!state.assignTicket(id, 'u-agent')) throw new Error('Agent could not take an unassigned ticket');
+                    const fresh = { id: 'T-NEW', status: 'New', audit: [] };
+                    if (state.autoAssign(fresh)?.id !== 'u-agent2') throw new Error('Least-loaded pick wrong');
+
+                    state.assignmentSettings = { strategy: 'round-robin', lastAssigneeId: 'u-agent2' };
+                    if (Assignment.pick(state.assignmentSettings, state.tickets, state.users).id !== 'u-agent') {
+                        throw new Error('Round robin did not wrap');
+                    }
+
+                    state.session = await identity.signIn('agent2', 'demo');
+                    if (state.assignTicket(id, 'u-agent2')) throw new Error('Agent took over a colleague\'s ticket');
+
+                    const mine = TicketQuery.parse('assignee:me');
+                    const context = { currentUserId: 'u-agent', users: state.users };
+                    if (!TicketQuery.matches(state.getTicket(id), mine, context)) throw new Error('assignee:me did not match');
+
+                    const [agentRow] = Assignment.workload(state.tickets, state.users, { slaSettings: state.slaSettings });
+                    if (agentRow.id !== 'u-agent' || agentRow.open !== 1) throw new Error('Workload not counted');
+                    if (state.getTicket(id).audit.at(-1).type !== 'ticket.assigned') throw new Error('Assignment not audited');
+                }
+            },
+            {
+                name: 'Audit hash chain',
+                test: () => {
+                    if (AuditTrail.sha256('abc') !== 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad') {
+                        throw new Error('SHA-256 mismatch');
+                    }
+
+                    const state = new AppState();
+                    state.session = { userId: 'u-42', name: 'Test', role: 'agent', expiresAt: new Date(Date.now() + 60000).toISOString() };
+                    const id = state.tickets[0].id;
+                    state.updateTicket(id, (ticket) => {
+                        ticket.admin.findings = 'Dent on door';
+                        return ticket;
+                    }, { reason: 'Inspection' });
+
+                    const audit = state.getTicket(id).audit;
+                    const entry = audit.at(-1);
+                    if (entry.type !== 'field.changed' || entry.path !== 'admin.findings' || entry.to !== 'Dent on door') {
+                        throw new Error('Field change not audited');
+                    }
+                    if (entry.actor !== 'u-42' || entry.reason !== 'Inspection') throw new Error('Actor or reason missing');
+                    if (!AuditTrail.verify(audit).valid) throw new Error('Fresh chain should verify');
+
+                    const tampered = structuredClone(audit);
+                    tampered[0].actor = 'someone-else';
+                    if (AuditTrail.verify(tampered).index !== 0) throw new Error('Tampering not detected');
+
+                    const legacy = TicketSchema.migrate({ id: 'T-0', schemaVersion: 2, complaint: {}, admin: {},
+                        audit: [{ at: '2025-01-01T00:00:00Z', who: 'agent', action: 'Status changed to Resolved' }] });
+                    if (legacy.audit[0].type !== 'status.changed' || !AuditTrail.verify(legacy.audit).valid) {
+                        throw new Error('Legacy entries not migrated');
+                    }
+                }
+            },
+            {
+                name: 'Undo/redo and change history',
+                test: async () => {
+                    const state = new AppState();
+                    const id = state.tickets[0].id;
+                    const original = state.getTicket(id);
+
+                    if (state.updateTicket(id, (ticket) => ({ ...ticket, status: 'Rejected' })) !== false) throw new Error('Edit accepted without sign-in');
+                    state.session = await new MockIdentityProvider().signIn('supervisor', 'demo');
+
+                    state.updateTicket(id, (ticket) => {
+                        ticket.admin.repair = { claimAmount: 450 };
+                        return ticket;
+                    });
+                    if (original.admin.repair !== undefined) throw new Error('Previous version was mutated');
+
+                    const [entry] = state.history.changes(id);
+                    if (TicketHistory.describe(entry.changes[0]) !== 'claimAmount — → 450') throw new Error('Diff not recorded');
+
+                    state.undoTicket(id);
+                    const undone = state.getTicket(id);
+                    if (undone.admin.repair !== undefined) throw new Error('Undo did not restore the snapshot');
+                    if (!undone.audit.some(entry => entry.type === 'history.undo')) throw new Error('Undo not audited');
+
+                    state.redoTicket(id);
+                    if (state.getTicket(id).admin.repair?.claimAmount !== 450) throw new Error('Redo did not reapply');
+                    if (state.history.canRedo(id)) throw new Error('Redo stack not emptied');
+
+                    state.updateTicket(id, (ticket) => {
+                        ticket.status = 'Resolved';
+                        return ticket;
+                    });
+                    if (state.undoTicket(id) !== false || state.getTicket(id).status !== 'Resolved') {
+                        throw new Error('Undo reopened a resolved ticket to a status the workflow forbids');
+                    }
+
+                    ['Investigating', 'Awaiting Customer'].forEach(status => state.updateTicket(id, (ticket) => {
+                        ticket.status = status;
+                        return ticket;
+                    }));
+                    state.undoTicket(id);
+                    const statusEvent = state.getTicket(id).audit.at(-1);
+                    if (statusEvent.type !== 'status.changed' || statusEvent.from !== 'Awaiting Customer' || statusEvent.to !== 'Investigating') {
+                        throw new Error('Undone status change not recorded as one');
+                    }
+
+                    state.updateTicket(id, (ticket) => {
+                        ticket.admin.findings = 'Signed-in edit';
+                        return ticket;
+                    });
+                    state.endSession();
+                    if (state.history.canUndo(id) || state.undoTicket(id) !== null) throw new Error('Undo outlived the session');
+                }
+            },
+            {
+                name: 'Virtual list windowing',
+                test: async () => {
+                    const container = document.createElement('div');
+                    const list = new VirtualList(container, { rowHeight: 100, overscan: 2, getKey: (item) => item.id, renderRow: (item) => item.label });
+                    const items = Array.from({ length: 1000 }, (_, i) => ({ id: `r${i}`, label: `Row ${i}` }));
+                    list.setItems(items);
+
+                    const rendered = container.querySelectorAll('.virtual-row');
+                    if (rendered.length === 0 || rendered.length > 20) throw new Error(`Rendered ${rendered.length} rows`);
+
+                    const firstRow = container.querySelector('[data-key="r0"]');
+                    list.setItems(items.map((item, i) => i === 1 ? { ...item, label: 'Changed' } : item));
+                    if (container.querySelector('[data-key="r0"]') !== firstRow) throw new Error('Unchanged row was rebuilt');
+                    if (container.querySelector('[data-key="r1"]').innerHTML !== 'Changed') throw new Error('Changed row not patched');
+
+                    // A server page fills the first rows; scrolling into the rest asks for them
+                    const api = new TicketsApi({ mock: true });
+                    for (let i = 0; i < 5; i++) {
+                        await api.create({ ...structuredClone(new AppState().getActiveTicket()), id: `T-P${i}`, createdAt: new Date(Date.UTC(2025, 0, i + 1)).toISOString() });
+                    }
+                    const page = await api.listPage({ page: 1, pageSize: 2 });
+                    if (page.total !== 5 || page.tickets.map(ticket => ticket.id).join() !== 'T-P4,T-P3') throw new Error('Wrong first page');
+
+                    let requested = null;
+                    const paged = new VirtualList(document.createElement('div'), { rowHeight: 100, overscan: 2, getKey: (item) => item.id, renderRow: (item) => item.id });
+                    paged.setItems(page.tickets, { total: page.total, loadRange: (start, end) => { requested = { start, end }; } });
+                    if (requested?.start !== 2 || requested.end !== 5) throw new Error('Missing rows not requested');
+                    if (!paged.container.querySelector('[data-key="placeholder-4"]')) throw new Error('No placeholder for unloaded rows');
+                }
+            },
+            {
+                name: 'Tickets API conflict detection',
+                test: async () => {
+                    const api = new TicketsApi({ mock: true });
+                    const created = await api.create({ id: 'T-API', status: 'New' });
+                    const patched = await api.patch('T-API', { status: 'Triage' }, created.version);
+                    if (patched.version !== created.version + 1) throw new Error('Version not bumped');
+
+                    try {
+                        await api.patch('T-API', { status: 'Investigating' }, created.version);
+                    } catch (error) {
+                        if (error instanceof TicketConflictError && error.current.status === 'Triage') return;
+                        throw error;
+                    }
+                    throw new Error('Stale version accepted');
+                }
+            },
+            {
+                name: 'Status and evidence through their endpoints',
+                test: async () => {
+                    const api = new TicketsApi({ mock: true });
+                    const state = new AppState(new MemoryStorageAdapter(), api);
+                    await state.hydrate();
+                    state.session = await new MockIdentityProvider().signIn('supervisor', 'demo');
+                    const { id } = await state.createTicket({ ...structuredClone(state.tickets[0]), id: null, version: undefined });
+
+                    const calls = [];
+                    const request = api.request.bind(api);
+                    api.request = (method, path, options) => {
+                        calls.push({ method, path: path.replace(/^\/tickets\/[^/]+/, ''), body: options?.body });
+                        return request(method, path, options);
+                    };
+                    const from = state.getTicket(id).status;
+                    state.updateTicket(id, (ticket) => {
+                        ticket.status = 'Rejected';
+                        ticket.admin.findings = 'Damage predates the booking';
+                        ticket.complaint.images.push({ name: 'scuff.jpg', type: 'image/jpeg' });
+                        ticket.audit.push(AuditTrail.event('status.changed', { path: 'status', from, to: 'Rejected', reason: 'Pre-existing damage' }));
+                        return ticket;
+                    });
+                    await state.syncQueue.get(id);
+
+                    if (calls.map(call => `${call.method} ${call.path}`).join() !== 'POST /status,PATCH ,POST /evidence') {
+                        throw new Error(`Unexpected writes: ${calls.map(call => `${call.method} ${call.path}`).join()}`);
+                    }
+                    if (calls[0].body.reason !== 'Pre-existing damage') throw new Error('Status reason not sent');
+                    if ('status' in calls[1].body || calls[1].body.complaint) throw new Error('PATCH repeated the status or evidence');
+                    if (calls[2].body.list !== 'complaint.images') throw new Error('Evidence sent to the wrong list');
+
+                    const server = await api.get(id);
+                    if (server.status !== 'Rejected' || server.complaint.images.at(-1)?.name !== 'scuff.jpg' || server.admin.findings !== 'Damage predates the booking') {
+                        throw new Error('Server copy missing the edit');
+                    }
+                    if (state.getTicket(id).version !== server.version) throw new Error('Local version behind the server');
+                }
+            },
+            {
+                name: 'Ticket ids from the server',
+                test: async () => {
+                    // Two desks in different browsers, each with its own local counter
+                    const api = new TicketsApi({ mock: true });
+                    const deskA = new AppState(new MemoryStorageAdapter(), api);
+                    const deskB = new AppState(new MemoryStorageAdapter(), api);
+                    await deskA.hydrate();
+                    await deskB.hydrate();
+
+                    const complaint = (desk) => ({ ...structuredClone(desk.tickets[0]), id: null, version: undefined });
+                    const [first, second] = await Promise.all([deskA.createTicket(complaint(deskA)), deskB.createTicket(complaint(deskB))]);
+                    if (!first.id || first.id === second.id) throw new Error(`Desks issued ${first.id} and ${second.id}`);
+                    if (deskA.getTicket(first.id)?.version !== 1) throw new Error('Server copy not kept');
+                }
             }
         ];
 
-        const results = tests.map(({ name, test }) => {
+        const results = await Promise.all(tests.map(async ({ name, test }) => {
             try {
-                test();
+                await test();
                 return { name, pass: true };
             } catch (error) {
                 return { name, pass: false, error: error.message };
             }
-        });
+        }));
 
         testResults.innerHTML = results.map(result => `
             <div class="small ${result.pass ? 'text-success' : 'text-danger'}">
@@ -1018,7 +8540,7 @@ class ComplaintsDeskApp {
 }
 
 // Global functions for inline event handlers (keeping them minimal)
-window.addEvidence = function(kind, listType) {
+window.addEvidence = async function(kind, listType) {
     const app = window.complaintsApp;
     if (!app) return;
 
@@ -1027,11 +8549,11 @@ window.addEvidence = function(kind, listType) {
 
     // Determine field IDs based on list type
     const fieldMappings = {
-        'complaint.images': { file: 'ci-file', time: 'ci-time', default: 'image.jpg' },
-        'complaint.videos': { file: 'cv-file', time: 'cv-time', default: 'clip.mp4' },
-        'admin.supportingImages': { file: 'si-file', time: 'si-time', default: 'support.jpg' },
-        'admin.supportingVideos': { file: 'sv-file', time: 'sv-time', default: 'clip.mp4' },
-        'admin.supportingDocs': { file: 'sd-file', time: null, default: 'doc.pdf' }
+        'complaint.images': { file: 'ci-file', time: 'ci-time' },
+        'complaint.videos': { file: 'cv-file', time: 'cv-time' },
+        'admin.supportingImages': { file: 'si-file', time: 'si-time' },
+        'admin.supportingVideos': { file: 'sv-file', time: 'sv-time' },
+        'admin.supportingDocs': { file: 'sd-file', time: null }
     };
 
     const mapping = fieldMappings[listType];
@@ -1039,20 +8561,18 @@ window.addEvidence = function(kind, listType) {
 
     const fileInput = document.getElementById(mapping.file);
     const timeInput = mapping.time ? document.getElementById(mapping.time) : null;
-    
-    // Get filename from file input or use default
-    const name = fileInput && fileInput.files.length > 0 ? fileInput.files[0].name : mapping.default;
-    const takenAt = timeInput?.value ? new Date(timeInput.value).toISOString() : new Date().toISOString();
-
-    const evidence = {
-        id: Math.random().toString(36).substr(2, 8),
-        kind: kind,
-        name: name,
-        takenAt: kind === 'doc' ? undefined : takenAt,
-        file: fileInput && fileInput.files.length > 0 ? fileInput.files[0] : null
-    };
+    const file = fileInput?.files[0];
 
-    app.state.updateTicket(activeTicket.id, (ticket) => {
+    if (!file) {
+        NotificationSystem.show(`Choose a ${kind} file first`, 'error');
+        return;
+    }
+
+    const evidence = await app.prepareEvidence(activeTicket, file, kind, timeInput?.value);
+    if (!evidence) return;
+    const name = evidence.name;
+
+    const added = app.state.updateTicket(activeTicket.id, (ticket) => {
         if (listType === 'complaint.images') {
             ticket.complaint.images.push(evidence);
         } else if (listType === 'complaint.videos') {
@@ -1066,14 +8586,15 @@ window.addEvidence = function(kind, listType) {
         }
 
         // Add audit entry
-        ticket.audit.push({
-            at: new Date().toISOString(),
-            who: 'agent',
+        ticket.audit.push(AuditTrail.event('evidence.added', {
+            path: listType,
+            to: name,
             action: `Added ${kind} ${name}`
-        });
+        }));
 
         return ticket;
     });
+    if (!added) return;
 
     // Clear input fields
     if (fileInput) fileInput.value = '';
@@ -1089,21 +8610,24 @@ window.setTicketStatus = function(status) {
     const activeTicket = app.state.getActiveTicket();
     if (!activeTicket) return;
 
-    // Validation for reject status
-    if (status === 'Rejected' && !activeTicket.admin.outcome?.rejectReason) {
-        NotificationSystem.show('Reject reason is required before setting status to Rejected', 'error');
+    const { allowed, reasons } = TicketWorkflow.check(activeTicket, status);
+    if (!allowed) {
+        NotificationSystem.show(reasons.join('; '), 'error');
         return;
     }
 
-    app.state.updateTicket(activeTicket.id, (ticket) => {
+    const updated = app.state.updateTicket(activeTicket.id, (ticket) => {
         ticket.status = status;
-        ticket.audit.push({
-            at: new Date().toISOString(),
-            who: 'agent',
+        ticket.audit.push(AuditTrail.event('status.changed', {
+            path: 'status',
+            from: activeTicket.status,
+            to: status,
+            reason: status === 'Rejected' ? ticket.admin.outcome?.rejectReason : undefined,
             action: `Status changed to ${status}`
-        });
+        }));
         return ticket;
     });
+    if (!updated) return;
 
     NotificationSystem.show(`Ticket status updated to ${status}`, 'success');
 };
@@ -1950,29 +9474,9 @@ class PlateScanner {
         `;
     }
 
-    // Mock API for testing without backend
+    // Mock API for testing without backend; the same bookings the complaint portal looks up
     async mockFetch(url) {
-        const urlObj = new URL(url, location.origin);
-        const reg = (urlObj.searchParams.get('reg') || '').toUpperCase();
-        const validRegs = ['AB12CDE', 'REZ123', 'STAR001', 'GF12ABC'];
-        const found = validRegs.includes(reg);
-        
-        return new Response(
-            found ? JSON.stringify({
-                reg,
-                status: 'due in',
-                customer: 'Test User',
-                product: 'Meet and Greet',
-                terminal: 'T3',
-                arrival: new Date(Date.now() + 3600000).toISOString(),
-                phone: '+44 7700 900123',
-                bookingId: 'SP-TEST'
-            }) : 'not found',
-            {
-                status: found ? 200 : 404,
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
+        return new BookingsApi({ mock: true }).mockFetch(url);
     }
 
     // Self tests for normalisePlate function